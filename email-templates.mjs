@@ -0,0 +1,196 @@
+// Templates de e-mail do Monitor e-SUS APS
+// Todo valor interpolado com `html` é escapado, exceto fragmentos já gerados por `html`
+// ou marcados explicitamente com `raw`. Valores em atributos href/src só são aceitos
+// se forem URLs http(s). A parte text/plain é montada com `plainText` e `textLink`.
+
+// Fragmento de HTML confiável (não é escapado de novo ao ser interpolado)
+class SafeHtml {
+  constructor(value) {
+    this.value = value;
+  }
+
+  toString() {
+    return this.value;
+  }
+}
+
+// Atributo que recebe URL imediatamente antes da interpolação: href="${...}"
+const URL_ATTRIBUTE_PATTERN = /\s(?:href|src)\s*=\s*["']?$/i;
+
+// Escapar texto para inclusão em HTML
+export function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// Marcar markup como confiável. Use apenas com conteúdo gerado pelo próprio worker.
+export function raw(markup) {
+  return new SafeHtml(String(markup));
+}
+
+// URL normalizada se for http(s) absoluta; null para javascript:, data:, relativas etc.
+export function safeUrl(url) {
+  if (url === null || url === undefined) {
+    return null;
+  }
+
+  try {
+    const parsed = new URL(String(url).trim());
+    return parsed.protocol === 'http:' || parsed.protocol === 'https:' ? parsed.href : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Converter um valor interpolado: listas são concatenadas e null/undefined/false viram vazio
+function renderValue(value, isUrl) {
+  if (value === null || value === undefined || value === false) {
+    return '';
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(item => renderValue(item, isUrl)).join('');
+  }
+
+  if (value instanceof SafeHtml) {
+    return value.value;
+  }
+
+  if (isUrl) {
+    return escapeHtml(safeUrl(value) || '#');
+  }
+
+  return escapeHtml(value);
+}
+
+// Template tag que escapa por padrão: html`<p>${texto}</p>`
+export function html(strings, ...values) {
+  let result = strings[0];
+
+  values.forEach((value, index) => {
+    result += renderValue(value, URL_ATTRIBUTE_PATTERN.test(strings[index])) + strings[index + 1];
+  });
+
+  return new SafeHtml(result);
+}
+
+// Estrutura base de todos os e-mails: cabeçalho, conteúdo e rodapé com os links do inscrito
+export function renderEmailLayout(title, content, options = {}) {
+  return html`
+<!DOCTYPE html>
+<html lang="pt-BR">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${title}</title>
+    <style>
+        body {
+            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+            line-height: 1.6;
+            color: #333;
+            max-width: 600px;
+            margin: 0 auto;
+            padding: 20px;
+            background-color: #f5f5f5;
+        }
+        .container {
+            background-color: white;
+            padding: 30px;
+            border-radius: 8px;
+            box-shadow: 0 2px 10px rgba(0,0,0,0.1);
+        }
+        .header {
+            text-align: center;
+            border-bottom: 2px solid #2563eb;
+            padding-bottom: 20px;
+            margin-bottom: 30px;
+        }
+        .header h1 {
+            color: #2563eb;
+            margin: 0;
+            font-size: 24px;
+        }
+        .content {
+            margin-bottom: 30px;
+        }
+        .update-box {
+            background-color: #f8fafc;
+            border-left: 4px solid #2563eb;
+            padding: 15px;
+            margin: 15px 0;
+        }
+        .update-title {
+            font-weight: bold;
+            color: #1e40af;
+            margin-bottom: 8px;
+        }
+        .link {
+            color: #2563eb;
+            text-decoration: none;
+        }
+        .link:hover {
+            text-decoration: underline;
+        }
+        .footer {
+            text-align: center;
+            font-size: 12px;
+            color: #666;
+            border-top: 1px solid #e5e7eb;
+            padding-top: 20px;
+            margin-top: 30px;
+        }
+    </style>
+</head>
+<body>
+    <div class="container">
+        <div class="header">
+            <h1>🏥 Monitor e-SUS APS</h1>
+        </div>
+        <div class="content">
+            ${content}
+        </div>
+        <div class="footer">
+            <p>Este é um serviço automatizado de monitoramento das atualizações do e-SUS APS.</p>
+            <p>Você está recebendo este e-mail porque se inscreveu para receber notificações.</p>
+            ${options.unsubscribeUrl && html`<p><a href="${options.preferencesUrl}" class="link">Alterar preferências</a> • <a href="${options.unsubscribeUrl}" class="link">Cancelar inscrição</a></p>`}
+        </div>
+    </div>
+</body>
+</html>`;
+}
+
+// Texto simples a partir de uma lista de linhas (listas aninhadas são achatadas;
+// null/undefined/false são ignorados e no máximo uma linha em branco fica entre blocos)
+export function plainText(lines) {
+  return lines
+    .flat(Infinity)
+    .filter(line => line !== null && line !== undefined && line !== false)
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+// Link em texto simples ("Rótulo: URL"); omitido se a URL não for http(s)
+export function textLink(label, url) {
+  const safe = safeUrl(url);
+  return safe ? `${label}: ${safe}` : null;
+}
+
+// Estrutura base da parte text/plain, com o mesmo rodapé do layout HTML
+export function renderTextLayout(text, options = {}) {
+  return plainText([
+    'Monitor e-SUS APS',
+    '',
+    text,
+    '',
+    '--',
+    'Este é um serviço automatizado de monitoramento das atualizações do e-SUS APS.',
+    'Você está recebendo este e-mail porque se inscreveu para receber notificações.',
+    options.unsubscribeUrl && textLink('Alterar preferências', options.preferencesUrl),
+    options.unsubscribeUrl && textLink('Cancelar inscrição', options.unsubscribeUrl)
+  ]) + '\n';
+}
@@ -104,7 +104,7 @@ class SystemTester {
 
     const html = await response.text();
     
-    if (!html.includes('Monitor de Atualizações e-SUS APS')) {
+    if (!html.includes('Monitor e-SUS APS')) {
       throw new Error('Conteúdo do frontend não encontrado');
     }
 
@@ -120,7 +120,7 @@ class SystemTester {
   async testStaticFiles() {
     const files = [
       { path: '/styles.css', contentType: 'text/css', contains: 'container' },
-      { path: '/script.js', contentType: 'application/javascript', contains: 'SubscriptionManager' }
+      { path: '/script.js', contentType: 'application/javascript', contains: 'subscriptionForm' }
     ];
 
     const results = {};
@@ -167,12 +167,18 @@ class SystemTester {
       throw new Error('Resposta de saúde inválida');
     }
 
+    if (!health.email || !health.email.dkim || typeof health.email.dkim.configured !== 'boolean') {
+      throw new Error('Health não informa a configuração DKIM');
+    }
+
     return {
       httpStatus: response.status,
       systemStatus: health.status,
       lastCheck: health.lastCheck,
       hasMetrics: !!health.metrics,
-      subscriberCount: health.metrics?.subscriberCount || 0
+      subscriberCount: health.metrics?.subscriberCount || 0,
+      emailProvider: health.email.provider,
+      dkim: health.email.dkim.status
     };
   }
 
@@ -304,6 +310,162 @@ class SystemTester {
     return results;
   }
 
+  // Teste 8: Verificar rejeição de link de confirmação inválido
+  async testInvalidConfirmationToken() {
+    const tokens = ['', 'invalido', 'eyJwdXJwb3NlIjoiY29uZmlybSJ9.assinatura'];
+    const results = {};
+
+    for (const token of tokens) {
+      const response = await this.makeRequest(`${this.config.baseUrl}/confirm?token=${encodeURIComponent(token)}`);
+
+      if (response.status !== 400) {
+        throw new Error(`Token inválido não rejeitado (${token || 'vazio'}): ${response.status}`);
+      }
+
+      const html = await response.text();
+      results[token || 'vazio'] = {
+        status: response.status,
+        hasMessage: html.includes('Link inválido')
+      };
+    }
+
+    return results;
+  }
+
+  // Teste 9: Verificar rejeição de link de cancelamento inválido
+  async testInvalidUnsubscribeToken() {
+    const results = {};
+
+    for (const method of ['GET', 'POST']) {
+      const response = await this.makeRequest(`${this.config.baseUrl}/unsubscribe?token=invalido`, { method });
+
+      if (response.status !== 400) {
+        throw new Error(`Token de cancelamento inválido não rejeitado (${method}): ${response.status}`);
+      }
+
+      results[method] = { status: response.status };
+    }
+
+    return results;
+  }
+
+  // Teste 10: Verificar validação dos tópicos de inscrição
+  async testInvalidTopicsValidation() {
+    const invalidTopics = [[], ['inexistente'], 'blog'];
+    const results = {};
+
+    for (const topics of invalidTopics) {
+      const response = await this.makeRequest(`${this.config.baseUrl}/subscribe`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ email: `test-${Date.now()}@example.com`, topics })
+      });
+
+      if (response.status !== 400) {
+        throw new Error(`Tópicos inválidos aceitos: ${JSON.stringify(topics)}`);
+      }
+
+      const errorData = await response.json();
+      results[JSON.stringify(topics)] = {
+        status: response.status,
+        error: errorData.error
+      };
+    }
+
+    return results;
+  }
+
+  // Teste 11: Verificar endpoint de histórico de atualizações
+  async testUpdatesHistoryEndpoint() {
+    const response = await this.makeRequest(`${this.config.baseUrl}/api/updates?limit=5`);
+
+    if (response.status !== 200) {
+      throw new Error(`Histórico retornou status ${response.status}`);
+    }
+
+    const data = await response.json();
+
+    if (!Array.isArray(data.items) || data.items.length > 5 || !('cursor' in data)) {
+      throw new Error('Resposta do histórico fora do formato esperado');
+    }
+
+    const invalidQueries = ['source=inexistente', 'from=data-invalida', 'limit=0'];
+    const rejected = {};
+
+    for (const query of invalidQueries) {
+      const invalidResponse = await this.makeRequest(`${this.config.baseUrl}/api/updates?${query}`);
+
+      if (invalidResponse.status !== 400) {
+        throw new Error(`Filtro inválido aceito (${query}): ${invalidResponse.status}`);
+      }
+
+      rejected[query] = invalidResponse.status;
+    }
+
+    return {
+      items: data.items.length,
+      hasMore: data.cursor !== null,
+      rejected
+    };
+  }
+
+  // Teste 12: Verificar que a API de administração exige autenticação
+  async testAdminApiRequiresAuth() {
+    const results = {};
+    const paths = ['webhooks', 'subscribers', 'subscribers/export', 'sources', 'audit', 'dashboard'];
+
+    for (const path of paths) {
+      for (const authorization of [null, 'Bearer token-invalido']) {
+        const headers = authorization ? { Authorization: authorization } : {};
+        const response = await this.makeRequest(`${this.config.baseUrl}/admin/api/${path}`, { headers });
+
+        if (response.status !== 401) {
+          throw new Error(`/admin/api/${path} acessível sem token válido: ${response.status}`);
+        }
+
+        results[`${path} (${authorization ? 'tokenInvalido' : 'semToken'})`] = response.status;
+      }
+    }
+
+    const checkResponse = await this.makeRequest(`${this.config.baseUrl}/admin/check`, { method: 'POST' });
+
+    if (checkResponse.status !== 401) {
+      throw new Error(`/admin/check acessível sem token: ${checkResponse.status}`);
+    }
+
+    results['check (semToken)'] = checkResponse.status;
+    return results;
+  }
+
+  // Teste 13: Verificar que o painel de administração é servido sem expor dados
+  async testAdminDashboardPage() {
+    const response = await this.makeRequest(`${this.config.baseUrl}/admin`);
+
+    if (response.status !== 200) {
+      throw new Error(`Painel retornou status ${response.status}`);
+    }
+
+    const html = await response.text();
+
+    if (!html.includes('/admin.js') || !html.includes('id="token"')) {
+      throw new Error('Página do painel fora do formato esperado');
+    }
+
+    const scriptResponse = await this.makeRequest(`${this.config.baseUrl}/admin.js`);
+
+    if (scriptResponse.status !== 200) {
+      throw new Error(`Script do painel retornou status ${scriptResponse.status}`);
+    }
+
+    return {
+      status: response.status,
+      cacheControl: response.headers.get('cache-control'),
+      scriptStatus: scriptResponse.status
+    };
+  }
+
   // Executar todos os testes
   async runAllTests() {
     console.log('🚀 Iniciando bateria de testes completa do Monitor e-SUS APS');
@@ -320,7 +482,13 @@ class SystemTester {
       { name: 'Email Subscription', fn: () => this.testEmailSubscription() },
       { name: 'Invalid Email Validation', fn: () => this.testInvalidEmailValidation() },
       { name: 'Responsiveness', fn: () => this.testResponsiveness() },
-      { name: 'Basic Performance', fn: () => this.testBasicPerformance() }
+      { name: 'Basic Performance', fn: () => this.testBasicPerformance() },
+      { name: 'Invalid Confirmation Token', fn: () => this.testInvalidConfirmationToken() },
+      { name: 'Invalid Unsubscribe Token', fn: () => this.testInvalidUnsubscribeToken() },
+      { name: 'Invalid Topics Validation', fn: () => this.testInvalidTopicsValidation() },
+      { name: 'Updates History Endpoint', fn: () => this.testUpdatesHistoryEndpoint() },
+      { name: 'Admin API Requires Auth', fn: () => this.testAdminApiRequiresAuth() },
+      { name: 'Admin Dashboard Page', fn: () => this.testAdminDashboardPage() }
     ];
 
     // Executar testes sequencialmente
@@ -2,6 +2,8 @@
 // Testa a lógica do código sem precisar de um servidor rodando
 
 const fs = require('fs');
+const path = require('path');
+const { pathToFileURL } = require('url');
 
 class CodeValidator {
   constructor() {
@@ -10,10 +12,26 @@ class CodeValidator {
       tests: [],
       summary: { total: 0, passed: 0, failed: 0 }
     };
+    this.worker = null;
   }
 
-  // Função para executar um teste
-  runTest(testName, testFunction) {
+  // Conteúdo servido pelo worker para um caminho do frontend (a página só existe no worker.js)
+  async getServedFile(pathname) {
+    if (!this.worker) {
+      const module = await import(pathToFileURL(path.join(__dirname, 'worker.js')).href);
+      this.worker = module.default;
+    }
+    
+    const response = await this.worker.fetch(new Request(`https://monitor.test${pathname}`), {});
+    if (response.status !== 200) {
+      throw new Error(`${pathname} não é servido pelo worker: ${response.status}`);
+    }
+    
+    return response.text();
+  }
+
+  // Função para executar um teste (síncrono ou assíncrono)
+  async runTest(testName, testFunction) {
     console.log(`🧪 Testando: ${testName}`);
     
     const testResult = {
@@ -27,7 +45,7 @@ class CodeValidator {
     this.results.summary.total++;
 
     try {
-      testFunction();
+      await testFunction();
       testResult.status = 'passed';
       this.results.summary.passed++;
       console.log(`✅ ${testName} - PASSOU`);
@@ -47,9 +65,7 @@ class CodeValidator {
   testRequiredFiles() {
     const requiredFiles = [
       'worker.js',
-      'index.html', 
-      'script.js',
-      'styles.css',
+      'email-templates.mjs',
       'wrangler.toml'
     ];
 
@@ -61,10 +77,7 @@ class CodeValidator {
 
     // Verificar tamanhos mínimos
     const minSizes = {
-      'worker.js': 10000,  // Pelo menos 10KB
-      'index.html': 1000,  // Pelo menos 1KB
-      'script.js': 2000,   // Pelo menos 2KB
-      'styles.css': 3000   // Pelo menos 3KB
+      'worker.js': 10000  // Pelo menos 10KB
     };
 
     for (const [file, minSize] of Object.entries(minSizes)) {
@@ -127,9 +140,9 @@ class CodeValidator {
     }
   }
 
-  // Teste 4: Validar HTML
-  testHTMLStructure() {
-    const htmlContent = fs.readFileSync('index.html', 'utf8');
+  // Teste 4: Validar HTML servido em /
+  async testHTMLStructure() {
+    const htmlContent = await this.getServedFile('/');
     
     // Verificar estrutura básica
     const requiredElements = [
@@ -138,7 +151,8 @@ class CodeValidator {
       '<meta charset="UTF-8">',
       '<meta name="viewport"',
       'subscriptionForm',
-      'Monitor de Atualizações e-SUS APS'
+      'name="topics"',
+      'Monitor e-SUS APS'
     ];
 
     for (const element of requiredElements) {
@@ -157,16 +171,16 @@ class CodeValidator {
     }
   }
 
-  // Teste 5: Validar CSS
-  testCSSStructure() {
-    const cssContent = fs.readFileSync('styles.css', 'utf8');
+  // Teste 5: Validar CSS servido em /styles.css
+  async testCSSStructure() {
+    const cssContent = await this.getServedFile('/styles.css');
     
     // Verificar seletores essenciais
     const requiredSelectors = [
       '.container',
       '.header',
       '.subscription-form',
-      '.feedback',
+      '.message',
       '@media'
     ];
 
@@ -175,24 +189,17 @@ class CodeValidator {
         throw new Error(`Seletor CSS obrigatório não encontrado: ${selector}`);
       }
     }
-
-    // Verificar variáveis CSS
-    if (!cssContent.includes(':root') || !cssContent.includes('--primary-color')) {
-      throw new Error('Variáveis CSS não encontradas');
-    }
   }
 
-  // Teste 6: Validar JavaScript
-  testJavaScriptStructure() {
-    const jsContent = fs.readFileSync('script.js', 'utf8');
+  // Teste 6: Validar JavaScript servido em /script.js
+  async testJavaScriptStructure() {
+    const jsContent = await this.getServedFile('/script.js');
     
-    // Verificar classes e funções essenciais
+    // Verificar funções essenciais
     const requiredPatterns = [
-      /class SubscriptionManager/,
-      /handleSubmit/,
-      /isValidEmail/,
       /addEventListener/,
-      /fetch\(/
+      /fetch\('\/subscribe'/,
+      /topics/
     ];
 
     for (const pattern of requiredPatterns) {
@@ -252,7 +259,7 @@ class CodeValidator {
   }
 
   // Executar todos os testes
-  runAllTests() {
+  async runAllTests() {
     console.log('🚀 Iniciando validação de código do Monitor e-SUS APS');
     console.log(`📅 ${new Date().toLocaleString()}`);
     
@@ -270,7 +277,7 @@ class CodeValidator {
     const startTime = Date.now();
 
     for (const test of tests) {
-      this.runTest(test.name, test.fn);
+      await this.runTest(test.name, test.fn);
     }
 
     const endTime = Date.now();
@@ -325,10 +332,11 @@ class CodeValidator {
 // Executar se chamado diretamente
 if (require.main === module) {
   const validator = new CodeValidator();
-  const results = validator.runAllTests();
   
-  // Código de saída baseado nos resultados
-  process.exit(results.summary.failed > 0 ? 1 : 0);
+  validator.runAllTests().then(results => {
+    // Código de saída baseado nos resultados
+    process.exit(results.summary.failed > 0 ? 1 : 0);
+  });
 }
 
 module.exports = { CodeValidator };
\ No newline at end of file
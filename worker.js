@@ -1,21 +1,252 @@
 // Monitor de Atualizações do e-SUS APS - Cloudflare Worker
 // Implementa scrapers, armazenamento KV e sistema de notificações
 
+import { html, raw, escapeHtml, safeUrl, plainText, textLink, renderEmailLayout, renderTextLayout } from './email-templates.mjs';
+
 // Constantes para chaves do KV
 const KV_KEYS = {
+  SUBSCRIBER_PREFIX: 'sub:',
+  // Chaves legadas (lista única de e-mails), lidas apenas pela migração
   EMAILS: 'subscriber_emails',
+  PENDING_SUBSCRIPTIONS: 'pending_subscriptions',
   LAST_BLOG_POST: 'last_blog_post',
   LAST_LEDI_VERSION: 'last_ledi_version',
+  LAST_PEC_VERSION: 'last_pec_version',
+  LEDI_CHANGELOG: 'ledi_changelog',
+  // Páginas vigiadas por hash de conteúdo (`watch:<url>`)
+  WATCH_PREFIX: 'watch:',
+  // Diferenças textuais detectadas (`diff:<fonte>:<data>`)
+  DIFF_PREFIX: 'diff:',
+  // Histórico de detecções (`history:<data invertida>:<fonte>:<seq>`, mais recentes primeiro)
+  HISTORY_PREFIX: 'history:',
+  // Webhooks cadastrados (`webhook:<id>`) e log de entregas (`webhook_delivery:<id>:<data invertida>:<seq>`)
+  WEBHOOK_PREFIX: 'webhook:',
+  WEBHOOK_DELIVERY_PREFIX: 'webhook_delivery:',
+  // Chats do Telegram inscritos (`tg:<chat id>`)
+  TELEGRAM_PREFIX: 'tg:',
+  // Fila de envio de e-mails (`email_job:<data>:<uuid>`) e chaves de idempotência por (notificação, inscrito)
+  EMAIL_JOB_PREFIX: 'email_job:',
+  EMAIL_SENT_PREFIX: 'email_sent:',
+  // E-mails registrados pelo provedor de captura (`captured_email:<data invertida>:<uuid>`)
+  CAPTURED_EMAIL_PREFIX: 'captured_email:',
+  // Data do último resumo enviado por período (`last_digest:daily`, `last_digest:weekly`)
+  LAST_DIGEST_PREFIX: 'last_digest:',
+  // Log de auditoria das ações administrativas (`audit:<data invertida>:<uuid>`, mais recentes primeiro)
+  AUDIT_PREFIX: 'audit:',
+  // Erros registrados nas verificações e envios (`error_log:<data invertida>:<uuid>`)
+  ERROR_LOG_PREFIX: 'error_log:',
+  // Contagem diária de inscritos para o painel (`stats:subscribers:<AAAA-MM-DD>`)
+  SUBSCRIBER_STATS_PREFIX: 'stats:subscribers:',
   SYSTEM_STATUS: 'system_status'
 };
 
 // URLs das fontes monitoradas
 const SOURCES = {
   BLOG: 'https://sisaps.saude.gov.br/sistemas/esusaps/blog/',
+  BLOG_FEEDS: [
+    'https://sisaps.saude.gov.br/sistemas/esusaps/blog/rss.xml',
+    'https://sisaps.saude.gov.br/sistemas/esusaps/blog/atom.xml'
+  ],
   LEDI: 'https://integracao.esusab.ufsc.br/ledi/index.html',
-  LEDI_CHANGES: 'https://integracao.esusab.ufsc.br/ledi/documentacao/principais_alteracoes.html'
+  LEDI_CHANGES: 'https://integracao.esusab.ufsc.br/ledi/documentacao/principais_alteracoes.html',
+  PEC: 'https://sisaps.saude.gov.br/sistemas/esusaps/download/'
+};
+
+// Páginas vigiadas por hash do conteúdo normalizado (qualquer edição gera notificação)
+const WATCHED_PAGES = [
+  {
+    id: 'cds',
+    name: 'Fichas CDS (LEDI)',
+    icon: '📋',
+    description: 'Alterações na especificação das fichas CDS',
+    url: 'https://integracao.esusab.ufsc.br/ledi/documentacao/estrutura_arquivos/dicionario-cad-individual.html'
+  }
+];
+
+// Configurações do fluxo de inscrição (double opt-in)
+const SUBSCRIPTION_CONFIG = {
+  CONFIRMATION_TTL_HOURS: 48
+};
+
+// Diferenças textuais: retenção no KV e limite de linhas exibidas por e-mail
+const DIFF_CONFIG = {
+  RETENTION_DAYS: 90,
+  EMAIL_MAX_LINES: 40,
+  // Acima deste tamanho (linhas antigas × novas) a página é tratada como reescrita
+  MAX_MATRIX_SIZE: 4000000
+};
+
+// Paginação de GET /api/updates
+const HISTORY_CONFIG = {
+  DEFAULT_LIMIT: 20,
+  MAX_LIMIT: 100
+};
+
+// Feeds públicos de atualizações (/feed.xml e /atom.xml)
+const FEED_CONFIG = {
+  ITEMS: 50,
+  CACHE_MAX_AGE_SECONDS: 900
+};
+
+// Entrega de webhooks: tentativas com backoff exponencial (1s, 2s, ...) e retenção do log
+const WEBHOOK_CONFIG = {
+  MAX_ATTEMPTS: 3,
+  BACKOFF_BASE_MS: 1000,
+  TIMEOUT_MS: 10000,
+  DELIVERY_LOG_DAYS: 30,
+  SIGNATURE_HEADER: 'X-Esus-Signature-256',
+  // json: payload próprio assinado; demais: incoming webhooks de chat
+  FORMATS: ['json', 'slack', 'teams', 'discord']
+};
+
+// Bot do Telegram (TELEGRAM_API_BASE permite apontar para um stub local nos testes)
+const TELEGRAM_CONFIG = {
+  DEFAULT_API_BASE: 'https://api.telegram.org',
+  SECRET_HEADER: 'X-Telegram-Bot-Api-Secret-Token'
+};
+
+// API de administração: paginação, importação CSV e retenção do log de auditoria
+const ADMIN_CONFIG = {
+  PAGE_SIZE: 50,
+  MAX_PAGE_SIZE: 200,
+  // Registros lidos no máximo por requisição de busca (a busca carrega cada inscrito)
+  SEARCH_SCAN_LIMIT: 1000,
+  // Cada linha importada faz uma leitura e uma gravação no KV
+  IMPORT_MAX_ROWS: 400,
+  AUDIT_RETENTION_DAYS: 365,
+  ERROR_LOG_DAYS: 30,
+  // Dias de contagem de inscritos guardados e exibidos no painel
+  STATS_DAYS: 90,
+  DASHBOARD_ITEMS: 20,
+  CSV_COLUMNS: ['email', 'status', 'topics', 'delivery', 'createdAt', 'confirmedAt', 'lastSentAt']
+};
+
+// Fila de envio de e-mails, processada em lotes ao longo de várias execuções.
+// BATCH_SIZE, RATE_PER_SECOND e BATCHES_PER_RUN podem ser sobrescritos pelas variáveis
+// SEND_BATCH_SIZE, SEND_RATE_PER_SECOND e SEND_BATCHES_PER_RUN.
+const QUEUE_CONFIG = {
+  // Cron frequente (wrangler.toml) que só continua os envios pendentes
+  CRON: '*/5 * * * *',
+  BATCH_SIZE: 100,
+  RATE_PER_SECOND: 10,
+  BATCHES_PER_RUN: 10,
+  // Tempo máximo de envio por execução, abaixo do limite do Worker
+  MAX_RUN_MS: 25000,
+  // Subrequisições por execução (envios e operações no KV), com folga abaixo do limite de
+  // 1000 do Worker para o restante da execução agendada
+  MAX_OPERATIONS: 800,
+  // Uma execução "aluga" o job para que outra simultânea não o processe
+  LEASE_MS: 4 * 60 * 1000,
+  DONE_RETENTION_DAYS: 7,
+  IDEMPOTENCY_TTL_DAYS: 7
+};
+
+// Envio de e-mail: provedor padrão e remetente usado quando FROM_EMAIL/FROM_NAME não estão definidos
+const EMAIL_CONFIG = {
+  DEFAULT_PROVIDER: 'mailchannels',
+  DEFAULT_FROM_EMAIL: 'noreply@esus-monitor.workers.dev',
+  DEFAULT_FROM_NAME: 'Monitor e-SUS APS',
+  CAPTURE_TTL_SECONDS: 24 * 60 * 60
+};
+
+// Provedores de e-mail disponíveis (EMAIL_PROVIDER). Cada um recebe
+// { from, to, subject, html, text, headers } e retorna { ok, status, error }.
+// `dkim` indica se o provedor assina com a chave de DKIM_PRIVATE_KEY; nos demais
+// a assinatura é configurada no próprio provedor (domínio verificado).
+const EMAIL_PROVIDERS = {
+  mailchannels: { send: sendWithMailChannels, dkim: true },
+  resend: { send: sendWithResend, dkim: false },
+  ses: { send: sendWithSes, dkim: false },
+  http: { send: sendWithHttp, dkim: false },
+  capture: { send: captureEmail, dkim: false }
+};
+
+// Modos de entrega por e-mail (preferência `delivery` do inscrito)
+const DELIVERY_MODES = {
+  immediate: 'Um e-mail por atualização',
+  digest: 'Um e-mail por verificação, reunindo todas as atualizações',
+  daily: 'Resumo diário',
+  weekly: 'Resumo semanal'
+};
+
+// Resumos periódicos, enviados pela execução diária do cron
+const DIGEST_CONFIG = {
+  // Dia do resumo semanal (0 = domingo, 1 = segunda-feira)
+  WEEKLY_DAY: 1,
+  ITEMS_LIMIT: 100,
+  // Folga para variações no horário de execução do cron
+  TOLERANCE_MS: 60 * 60 * 1000
 };
 
+// Quantidade máxima de links de posts já vistos guardados no estado do blog
+const BLOG_SEEN_LINKS_LIMIT = 500;
+
+// Registro de fontes monitoradas (plugins), indexado pelo id da fonte.
+// O id também é o tópico de inscrição e o `type` das notificações geradas.
+// Opcionais: getNewItems(atual, armazenado) para gerar várias notificações numa
+// execução, buildState(atual, armazenado) para definir o estado persistido,
+// persist(env, atual) para gravar dados auxiliares a cada leitura bem-sucedida,
+// renderTelegram(dados) para a mensagem do Telegram (padrão: título e link) e
+// resetState(armazenado) para o reset administrativo (padrão: apagar o estado, o
+// que faz a versão atual ser notificada de novo na próxima verificação).
+const SOURCE_REGISTRY = new Map();
+
+// Blog e-SUS APS
+registerSource({
+  id: 'blog',
+  name: 'Blog e-SUS APS',
+  icon: '📝',
+  description: 'Novas postagens e notícias oficiais',
+  url: SOURCES.BLOG,
+  stateKey: KV_KEYS.LAST_BLOG_POST,
+  fetchLatest: getLatestBlogPost,
+  hasChanged: hasNewBlogPost,
+  getNewItems: getNewBlogPosts,
+  buildState: buildBlogState,
+  resetState: resetBlogState,
+  renderEmail: renderBlogEmail,
+  renderSummary: renderBlogSummary,
+  renderTelegram: renderBlogTelegram
+});
+
+// API LEDI
+registerSource({
+  id: 'ledi',
+  name: 'API LEDI',
+  icon: '🔧',
+  description: 'Novas versões e documentação técnica',
+  url: SOURCES.LEDI,
+  stateKey: KV_KEYS.LAST_LEDI_VERSION,
+  fetchLatest: getLatestLediVersion,
+  hasChanged: hasNewLediVersion,
+  getNewItems: getNewLediItems,
+  buildState: withoutLediChangelog,
+  persist: storeLediChangelog,
+  renderEmail: renderLediEmail,
+  renderSummary: renderLediSummary,
+  renderTelegram: renderLediTelegram
+});
+
+// Versões do PEC (Prontuário Eletrônico do Cidadão)
+registerSource({
+  id: 'pec',
+  name: 'PEC e-SUS APS',
+  icon: '💾',
+  description: 'Novas versões do Prontuário Eletrônico do Cidadão',
+  url: SOURCES.PEC,
+  stateKey: KV_KEYS.LAST_PEC_VERSION,
+  fetchLatest: getLatestPecVersion,
+  hasChanged: hasNewPecVersion,
+  getNewItems: getNewPecItems,
+  // Sem estado a primeira leitura não notifica; limpar só a versão notifica a atual de novo
+  resetState: stored => ({ ...stored, version: null }),
+  renderEmail: renderPecEmail,
+  renderSummary: renderPecSummary
+});
+
+// Páginas vigiadas por hash de conteúdo
+WATCHED_PAGES.forEach(registerWatchedPage);
+
 export default {
   // Handler para requisições HTTP
   async fetch(request, env, ctx) {
@@ -29,6 +260,38 @@ export default {
         return await handleSubscription(request, env);
       }
       
+      if (request.method === 'GET' && url.pathname === '/confirm') {
+        return await handleConfirmation(request, env);
+      }
+      
+      if (url.pathname === '/unsubscribe' && (request.method === 'GET' || request.method === 'POST')) {
+        return await handleUnsubscribe(request, env);
+      }
+      
+      if (url.pathname === '/preferences' && (request.method === 'GET' || request.method === 'POST')) {
+        return await handlePreferences(request, env);
+      }
+      
+      if (request.method === 'GET' && url.pathname === '/api/ledi/changelog') {
+        return await handleLediChangelog(url, env);
+      }
+      
+      if (request.method === 'GET' && url.pathname === '/api/updates') {
+        return await handleUpdatesHistory(url, env);
+      }
+      
+      if (request.method === 'GET' && (url.pathname === '/feed.xml' || url.pathname === '/atom.xml')) {
+        return await handleFeed(request, url, env);
+      }
+      
+      if (request.method === 'POST' && url.pathname === '/telegram/webhook') {
+        return await handleTelegramWebhook(request, env);
+      }
+      
+      if (url.pathname.startsWith('/admin/api/') || url.pathname === '/admin/check') {
+        return await handleAdminApi(request, url, env);
+      }
+      
       if (request.method === 'GET' && url.pathname === '/health') {
         return await handleHealthCheck(env);
       }
@@ -54,8 +317,35 @@ export default {
 
   // Handler para execução agendada (cron)
   async scheduled(event, env, ctx) {
+    // Cron frequente: apenas continuar os envios enfileirados
+    if (event && event.cron === QUEUE_CONFIG.CRON) {
+      try {
+        const queue = await processEmailQueue(env);
+        console.log('Fila de e-mails processada:', queue);
+      } catch (error) {
+        console.error('Erro ao processar fila de e-mails:', error);
+      }
+      return;
+    }
+    
     console.log('Iniciando verificação agendada de atualizações');
     
+    try {
+      const migrated = await migrateLegacySubscribers(env);
+      if (migrated > 0) {
+        console.log(`Inscritos migrados do formato legado: ${migrated}`);
+      }
+    } catch (error) {
+      console.error('Erro na migração de inscritos:', error);
+    }
+    
+    try {
+      const removed = await cleanupExpiredPendingSubscriptions(env);
+      console.log(`Inscrições pendentes expiradas removidas: ${removed}`);
+    } catch (error) {
+      console.error('Erro ao limpar inscrições pendentes:', error);
+    }
+    
     try {
       const result = await checkForUpdates(env);
       console.log('Verificação concluída:', result);
@@ -63,13 +353,26 @@ export default {
     } catch (error) {
       console.error('Erro na verificação agendada:', error);
     }
+    
+    try {
+      const digests = await sendDigestEmails(env);
+      console.log(`Resumos enfileirados: ${digests.length}`);
+    } catch (error) {
+      console.error('Erro ao enviar resumos:', error);
+    }
+    
+    try {
+      await storeSubscriberStats(env);
+    } catch (error) {
+      console.error('Erro ao registrar contagem de inscritos:', error);
+    }
   }
 };
 
 // Função para processar inscrições de e-mail
 async function handleSubscription(request, env) {
   try {
-    const { email } = await request.json();
+    const { email, topics, delivery } = await request.json();
     
     // Validar e-mail
     if (!isValidEmail(email)) {
@@ -82,11 +385,35 @@ async function handleSubscription(request, env) {
       );
     }
     
+    // Validar tópicos escolhidos (todos, se não informados)
+    const selectedTopics = topics === undefined ? getSourceIds() : normalizeTopics(topics);
+    if (!selectedTopics) {
+      return new Response(
+        JSON.stringify({ error: 'Selecione ao menos um tópico válido' }), 
+        { 
+          status: 400,
+          headers: { 'Content-Type': 'application/json' }
+        }
+      );
+    }
+    
+    // Validar frequência de envio (opcional)
+    if (delivery !== undefined && !DELIVERY_MODES[delivery]) {
+      return new Response(
+        JSON.stringify({ error: 'Frequência de envio inválida' }), 
+        { 
+          status: 400,
+          headers: { 'Content-Type': 'application/json' }
+        }
+      );
+    }
+    
     const normalizedEmail = normalizeEmail(email);
+    await migrateLegacySubscribers(env);
     
     // Verificar se e-mail já existe
-    const existingEmails = await getStoredEmails(env);
-    if (existingEmails.has(normalizedEmail)) {
+    const subscriber = await getSubscriber(env, normalizedEmail);
+    if (subscriber && subscriber.status === 'active') {
       return new Response(
         JSON.stringify({ message: 'E-mail já está inscrito' }), 
         { 
@@ -96,23 +423,45 @@ async function handleSubscription(request, env) {
       );
     }
     
-    // Adicionar e-mail à lista
-    existingEmails.add(normalizedEmail);
-    await storeEmails(env, existingEmails);
+    // Registrar inscrição pendente até que o dono do endereço confirme
+    const now = Date.now();
+    const expiresAt = now + SUBSCRIPTION_CONFIG.CONFIRMATION_TTL_HOURS * 60 * 60 * 1000;
     
-    // Enviar e-mail de confirmação
-    try {
-      const latestUpdates = await getLatestUpdatesData(env);
-      await sendConfirmationEmail(normalizedEmail, latestUpdates);
-      console.log(`E-mail de confirmação enviado para: ${normalizedEmail}`);
-    } catch (error) {
-      console.error('Erro ao enviar e-mail de confirmação:', error);
+    await storeSubscriber(env, {
+      ...createSubscriberRecord(normalizedEmail),
+      ...subscriber,
+      status: 'pending',
+      expiresAt: new Date(expiresAt).toISOString(),
+      preferences: {
+        ...(subscriber && subscriber.preferences),
+        topics: selectedTopics,
+        ...(delivery ? { delivery } : {})
+      }
+    });
+    
+    // Enviar e-mail com link de confirmação
+    const token = await createSignedToken(env, {
+      purpose: 'confirm',
+      email: normalizedEmail,
+      exp: expiresAt
+    });
+    const confirmUrl = `${getBaseUrl(env, request)}/confirm?token=${encodeURIComponent(token)}`;
+    
+    const sent = await sendConfirmationRequestEmail(env, normalizedEmail, confirmUrl);
+    if (!sent) {
+      return new Response(
+        JSON.stringify({ error: 'Não foi possível enviar o e-mail de confirmação. Tente novamente.' }), 
+        { 
+          status: 502,
+          headers: { 'Content-Type': 'application/json' }
+        }
+      );
     }
     
-    console.log(`Novo e-mail inscrito: ${normalizedEmail}`);
+    console.log(`Inscrição pendente registrada: ${normalizedEmail}`);
     
     return new Response(
-      JSON.stringify({ message: 'Inscrição realizada com sucesso! Verifique seu e-mail.' }), 
+      JSON.stringify({ message: 'Enviamos um link de confirmação para seu e-mail. A inscrição será ativada após a confirmação.' }), 
       { 
         status: 200,
         headers: { 'Content-Type': 'application/json' }
@@ -131,724 +480,4552 @@ async function handleSubscription(request, env) {
   }
 }
 
-// Função para verificar saúde do sistema
-async function handleHealthCheck(env) {
+// Função para confirmar inscrições pendentes (GET /confirm?token=...)
+async function handleConfirmation(request, env) {
   try {
-    const subscriberCount = await getSubscriberCount(env);
-    const systemStatus = await getSystemStatus(env);
+    const url = new URL(request.url);
+    const token = url.searchParams.get('token');
+    const payload = token ? await verifySignedToken(env, token, 'confirm') : null;
     
-    return new Response(
-      JSON.stringify({ 
-        status: 'ok',
-        subscribers: subscriberCount,
-        lastCheck: systemStatus.lastCheck,
-        timestamp: new Date().toISOString()
-      }), 
-      { 
-        status: 200,
-        headers: { 
-          'Content-Type': 'application/json',
-          'Cache-Control': 'no-cache'
-        }
-      }
+    if (!payload) {
+      return htmlResponse(
+        getPageHtml('Link inválido', `
+          <h2>⚠️ Link inválido ou expirado</h2>
+          <p>Este link de confirmação não é válido ou já expirou. Faça a inscrição novamente para receber um novo link.</p>
+          <p><a href="/" class="source-link">Voltar para a página inicial →</a></p>
+        `),
+        400
+      );
+    }
+    
+    const email = payload.email;
+    await migrateLegacySubscribers(env);
+    const subscriber = await getSubscriber(env, email);
+    
+    if (subscriber && subscriber.status === 'active') {
+      return htmlResponse(
+        getPageHtml('Inscrição já confirmada', `
+          <h2>✅ Inscrição já confirmada</h2>
+          <p>Este endereço já recebe as notificações do Monitor e-SUS APS.</p>
+        `)
+      );
+    }
+    
+    if (!subscriber) {
+      return htmlResponse(
+        getPageHtml('Inscrição não encontrada', `
+          <h2>⚠️ Inscrição não encontrada</h2>
+          <p>Não encontramos uma inscrição pendente para este link. Faça a inscrição novamente.</p>
+          <p><a href="/" class="source-link">Voltar para a página inicial →</a></p>
+        `),
+        404
+      );
+    }
+    
+    // Ativar inscrição
+    delete subscriber.expiresAt;
+    await storeSubscriber(env, {
+      ...subscriber,
+      status: 'active',
+      confirmedAt: new Date().toISOString()
+    });
+    
+    // Enviar e-mail de boas-vindas com as últimas atualizações
+    try {
+      const latestUpdates = await getLatestUpdatesData(env);
+      const links = await buildSubscriberLinks(env, email, getBaseUrl(env, request));
+      await sendConfirmationEmail(env, email, latestUpdates, links);
+      console.log(`E-mail de confirmação enviado para: ${email}`);
+    } catch (error) {
+      console.error('Erro ao enviar e-mail de confirmação:', error);
+    }
+    
+    console.log(`Novo e-mail inscrito: ${email}`);
+    
+    return htmlResponse(
+      getPageHtml('Inscrição confirmada', `
+        <h2>✅ Inscrição confirmada!</h2>
+        <p>Você passará a receber notificações sempre que detectarmos atualizações do e-SUS APS.</p>
+      `)
     );
-  } catch (error) {
-    console.error('Erro no health check:', error);
     
-    return new Response(
-      JSON.stringify({ 
-        status: 'error', 
-        message: error.message,
-        timestamp: new Date().toISOString()
-      }), 
-      { 
-        status: 500,
-        headers: { 'Content-Type': 'application/json' }
-      }
+  } catch (error) {
+    console.error('Erro ao confirmar inscrição:', error);
+    return htmlResponse(
+      getPageHtml('Erro', `
+        <h2>❌ Erro ao confirmar inscrição</h2>
+        <p>Tente novamente em alguns minutos.</p>
+      `),
+      500
     );
   }
 }
 
-// Função para servir arquivos estáticos do frontend
-async function serveStaticFiles(pathname) {
-  // Mapear caminhos para arquivos
-  const fileMap = {
-    '/': 'index.html',
-    '/index.html': 'index.html',
-    '/styles.css': 'styles.css',
-    '/script.js': 'script.js'
-  };
-  
-  const filename = fileMap[pathname];
-  if (!filename) {
-    return new Response('Arquivo não encontrado', { status: 404 });
-  }
-  
-  // Determinar Content-Type
-  const contentTypes = {
-    'html': 'text/html; charset=utf-8',
-    'css': 'text/css; charset=utf-8',
-    'js': 'application/javascript; charset=utf-8'
-  };
-  
-  const extension = filename.split('.').pop();
-  const contentType = contentTypes[extension] || 'text/plain';
-  
+// Função para cancelar inscrições (GET mostra a confirmação, POST remove o e-mail)
+async function handleUnsubscribe(request, env) {
   try {
-    // Servir arquivos estáticos
-    if (filename === 'index.html') {
-      return new Response(getIndexHtml(), { 
-        headers: { 'Content-Type': contentType }
-      });
-    } else if (filename === 'styles.css') {
-      return new Response(getStylesCss(), { 
-        headers: { 'Content-Type': contentType }
-      });
-    } else if (filename === 'script.js') {
-      return new Response(getScriptJs(), { 
-        headers: { 'Content-Type': contentType }
-      });
+    const url = new URL(request.url);
+    const token = url.searchParams.get('token');
+    const payload = token ? await verifySignedToken(env, token, 'unsubscribe') : null;
+    
+    if (!payload) {
+      return htmlResponse(
+        getPageHtml('Link inválido', `
+          <h2>⚠️ Link inválido</h2>
+          <p>Este link de cancelamento não é válido. Use o link presente no rodapé dos e-mails do Monitor e-SUS APS.</p>
+        `),
+        400
+      );
     }
     
-    return new Response('Arquivo não encontrado', { status: 404 });
+    // GET apenas pede confirmação, para que leitores de links não cancelem a inscrição
+    if (request.method === 'GET') {
+      return htmlResponse(
+        getPageHtml('Cancelar inscrição', `
+          <h2>🔕 Cancelar inscrição</h2>
+          <p>Você deixará de receber as notificações do Monitor e-SUS APS.</p>
+          <form method="POST" action="/unsubscribe?token=${encodeURIComponent(token)}" class="subscription-form">
+            <button type="submit" class="subscribe-button">Cancelar inscrição</button>
+          </form>
+        `)
+      );
+    }
+    
+    // POST: remoção em um clique (também usado por List-Unsubscribe-Post, RFC 8058)
+    await migrateLegacySubscribers(env);
+    if (await deleteSubscriber(env, payload.email)) {
+      console.log(`Inscrição cancelada: ${payload.email}`);
+    }
+    
+    return htmlResponse(
+      getPageHtml('Inscrição cancelada', `
+        <h2>✅ Inscrição cancelada</h2>
+        <p>Seu e-mail foi removido e você não receberá mais notificações.</p>
+        <p><a href="/" class="source-link">Inscrever-se novamente →</a></p>
+      `)
+    );
     
   } catch (error) {
-    console.error('Erro ao servir arquivo estático:', error);
-    return new Response('Erro interno do servidor', { status: 500 });
+    console.error('Erro ao cancelar inscrição:', error);
+    return htmlResponse(
+      getPageHtml('Erro', `
+        <h2>❌ Erro ao cancelar inscrição</h2>
+        <p>Tente novamente em alguns minutos.</p>
+      `),
+      500
+    );
   }
 }
 
-// Scraper para o blog do e-SUS APS
-async function getLatestBlogPost() {
+// Página de preferências de tópicos (GET mostra o formulário, POST salva)
+async function handlePreferences(request, env) {
   try {
-    console.log('Fazendo scraping do blog e-SUS');
-    
-    const response = await fetch(SOURCES.BLOG, {
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (compatible; e-SUS Monitor/1.0)',
-        'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8'
-      }
-    });
+    const url = new URL(request.url);
+    const token = url.searchParams.get('token');
+    const payload = token ? await verifySignedToken(env, token, 'preferences') : null;
     
-    if (!response.ok) {
-      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    if (!payload) {
+      return htmlResponse(
+        getPageHtml('Link inválido', `
+          <h2>⚠️ Link inválido</h2>
+          <p>Este link de preferências não é válido. Use o link presente no rodapé dos e-mails do Monitor e-SUS APS.</p>
+        `),
+        400
+      );
     }
     
-    let latestPost = {
-      title: null,
-      link: null,
-      extractedAt: new Date().toISOString()
-    };
+    await migrateLegacySubscribers(env);
+    const subscriber = await getSubscriber(env, payload.email);
     
-    // Usar HTMLRewriter para extrair o primeiro post da sidebar
-    const rewriter = new HTMLRewriter()
-      .on('div.sidebarItemList_Yudw a:first-of-type', {
-        element(element) {
-          const title = element.getAttribute('title') || '';
-          const href = element.getAttribute('href') || '';
-          
-          if (title && href) {
-            latestPost.title = title.trim();
-            latestPost.link = href.startsWith('http') ? href : `https://sisaps.saude.gov.br${href}`;
-          }
-        }
-      });
+    if (!subscriber || subscriber.status !== 'active') {
+      return htmlResponse(
+        getPageHtml('Inscrição não encontrada', `
+          <h2>⚠️ Inscrição não encontrada</h2>
+          <p>Este endereço não possui uma inscrição ativa.</p>
+          <p><a href="/" class="source-link">Inscrever-se →</a></p>
+        `),
+        404
+      );
+    }
     
-    await rewriter.transform(response);
+    let notice = '';
     
-    // Validar dados extraídos
-    if (!latestPost.title || !latestPost.link) {
-      throw new Error('Não foi possível extrair dados do blog');
+    if (request.method === 'POST') {
+      const formData = await request.formData();
+      const topics = normalizeTopics(formData.getAll('topics'));
+      const delivery = formData.get('delivery') || getSubscriberDelivery(subscriber);
+      
+      if (!topics) {
+        notice = '<div class="message error">Selecione ao menos um tópico. Para não receber mais nada, cancele a inscrição.</div>';
+      } else if (!DELIVERY_MODES[delivery]) {
+        notice = '<div class="message error">Frequência de envio inválida.</div>';
+      } else {
+        subscriber.preferences = { ...subscriber.preferences, topics, delivery };
+        await storeSubscriber(env, subscriber);
+        notice = '<div class="message success">Preferências atualizadas com sucesso.</div>';
+        console.log(`Preferências atualizadas: ${subscriber.email} -> ${topics.join(', ')} (${delivery})`);
+      }
     }
     
-    console.log(`Blog scraping bem-sucedido: "${latestPost.title}"`);
-    return latestPost;
+    const currentTopics = getSubscriberTopics(subscriber);
+    const links = await buildSubscriberLinks(env, subscriber.email, getBaseUrl(env, request));
+    
+    return htmlResponse(
+      getPageHtml('Preferências', `
+        <h2>⚙️ Preferências de notificação</h2>
+        ${notice}
+        <p>Escolha sobre quais fontes você quer receber e-mails:</p>
+        <form method="POST" action="/preferences?token=${encodeURIComponent(token)}" class="subscription-form">
+          ${getTopicCheckboxesHtml(currentTopics)}
+          ${getDeliveryOptionsHtml(getSubscriberDelivery(subscriber))}
+          <button type="submit" class="subscribe-button">Salvar preferências</button>
+        </form>
+        <p><a href="${links.unsubscribeUrl}" class="source-link">Cancelar inscrição</a></p>
+      `)
+    );
     
   } catch (error) {
-    console.error('Erro no scraping do blog:', error);
-    throw error;
+    console.error('Erro ao processar preferências:', error);
+    return htmlResponse(
+      getPageHtml('Erro', `
+        <h2>❌ Erro ao carregar preferências</h2>
+        <p>Tente novamente em alguns minutos.</p>
+      `),
+      500
+    );
   }
 }
 
-// Scraper para a API LEDI
-async function getLatestLediVersion() {
-  try {
-    console.log('Fazendo scraping da LEDI');
+// Consultar o changelog estruturado da LEDI (todas as versões ou ?version=...)
+async function handleLediChangelog(url, env) {
+  const changelog = await getStoredLediChangelog(env);
+  const version = url.searchParams.get('version');
+  
+  if (version) {
+    const entry = findLediChangelogEntry(changelog.entries, version);
     
-    const response = await fetch(SOURCES.LEDI, {
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (compatible; e-SUS Monitor/1.0)',
-        'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8'
+    return new Response(
+      JSON.stringify(entry || { error: 'Versão não encontrada' }), 
+      { 
+        status: entry ? 200 : 404,
+        headers: { 'Content-Type': 'application/json' }
+      }
+    );
+  }
+  
+  return new Response(
+    JSON.stringify(changelog), 
+    { 
+      status: 200,
+      headers: { 
+        'Content-Type': 'application/json',
+        'Cache-Control': 'public, max-age=300'
       }
-    });
-    
-    if (!response.ok) {
-      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
     }
-    
-    let latestVersion = {
-      version: null,
+  );
+}
+
+// Listar o histórico de atualizações detectadas (?source=&from=&to=&limit=&cursor=)
+async function handleUpdatesHistory(url, env) {
+  const params = url.searchParams;
+  const source = params.get('source');
+  const from = params.get('from') ? new Date(params.get('from')) : null;
+  const to = params.get('to') ? new Date(params.get('to')) : null;
+  const limit = params.has('limit') ? parseInt(params.get('limit'), 10) : HISTORY_CONFIG.DEFAULT_LIMIT;
+  
+  let error = null;
+  if (source && !SOURCE_REGISTRY.has(source)) {
+    error = 'Fonte desconhecida';
+  } else if ((from && isNaN(from.getTime())) || (to && isNaN(to.getTime()))) {
+    error = 'Data inválida (use o formato ISO 8601)';
+  } else if (!Number.isInteger(limit) || limit < 1 || limit > HISTORY_CONFIG.MAX_LIMIT) {
+    error = `Limite deve estar entre 1 e ${HISTORY_CONFIG.MAX_LIMIT}`;
+  }
+  
+  if (error) {
+    return new Response(
+      JSON.stringify({ error }), 
+      { 
+        status: 400,
+        headers: { 'Content-Type': 'application/json' }
+      }
+    );
+  }
+  
+  const page = await listHistory(env, {
+    source,
+    from: from && from.toISOString(),
+    to: to && to.toISOString(),
+    limit,
+    cursor: params.get('cursor')
+  });
+  
+  return new Response(
+    JSON.stringify(page), 
+    { 
+      status: 200,
+      headers: { 
+        'Content-Type': 'application/json',
+        'Cache-Control': 'public, max-age=60',
+        'Access-Control-Allow-Origin': '*'
+      }
+    }
+  );
+}
+
+// Publicar o histórico como feed RSS 2.0 (/feed.xml) ou Atom (/atom.xml); ?source= filtra uma fonte
+async function handleFeed(request, url, env) {
+  const source = url.searchParams.get('source');
+  
+  if (source && !SOURCE_REGISTRY.has(source)) {
+    return new Response('Fonte desconhecida', { status: 404 });
+  }
+  
+  const { items } = await listHistory(env, { source, limit: FEED_CONFIG.ITEMS });
+  const baseUrl = getBaseUrl(env, request);
+  const isAtom = url.pathname === '/atom.xml';
+  
+  // A detecção mais recente identifica a versão do feed
+  const updatedAt = items.length > 0 ? items[0].detectedAt : new Date(0).toISOString();
+  const etag = `"${isAtom ? 'atom' : 'rss'}-${source || 'all'}-${items.length > 0 ? items[0].id : 'empty'}"`;
+  
+  const headers = {
+    'Cache-Control': `public, max-age=${FEED_CONFIG.CACHE_MAX_AGE_SECONDS}`,
+    'ETag': etag,
+    'Last-Modified': new Date(updatedAt).toUTCString()
+  };
+  
+  if (request.headers.get('If-None-Match') === etag) {
+    return new Response(null, { status: 304, headers });
+  }
+  
+  const feed = {
+    title: source ? `Monitor e-SUS APS - ${getSource(source).name}` : 'Monitor e-SUS APS',
+    description: 'Atualizações detectadas no blog e-SUS APS, na API LEDI e nas demais fontes monitoradas',
+    selfUrl: `${baseUrl}${url.pathname}${source ? `?source=${encodeURIComponent(source)}` : ''}`,
+    siteUrl: baseUrl,
+    updatedAt,
+    entries: items.map(item => getFeedEntry(item, baseUrl))
+  };
+  
+  return new Response(isAtom ? getAtomFeedXml(feed) : getRssFeedXml(feed), {
+    status: 200,
+    headers: {
+      'Content-Type': isAtom ? 'application/atom+xml; charset=utf-8' : 'application/rss+xml; charset=utf-8',
+      ...headers
+    }
+  });
+}
+
+// Converter uma entrada do histórico em item de feed (mesmo conteúdo do e-mail de notificação)
+function getFeedEntry(item, baseUrl) {
+  const source = getSource(item.source);
+  const { subject, content } = source
+    ? source.renderEmail(item.payload)
+    : { subject: `Atualização em ${item.source}`, content: '' };
+  
+  return {
+    id: `tag:${new URL(baseUrl).hostname},2024:${item.id}`,
+    title: subject,
+    link: safeUrl(item.payload.link || item.payload.url) || (source ? source.url : baseUrl),
+    category: source ? source.name : item.source,
+    content: String(content),
+    detectedAt: item.detectedAt
+  };
+}
+
+// Envolver HTML em CDATA (dividindo eventuais "]]>" do conteúdo)
+function toCdata(html) {
+  return `<![CDATA[${html.replace(/]]>/g, ']]]]><![CDATA[>')}]]>`;
+}
+
+// Montar feed RSS 2.0
+function getRssFeedXml(feed) {
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">
+  <channel>
+    <title>${escapeHtml(feed.title)}</title>
+    <link>${escapeHtml(feed.siteUrl)}</link>
+    <description>${escapeHtml(feed.description)}</description>
+    <language>pt-BR</language>
+    <lastBuildDate>${new Date(feed.updatedAt).toUTCString()}</lastBuildDate>
+    <ttl>${FEED_CONFIG.CACHE_MAX_AGE_SECONDS / 60}</ttl>
+    <atom:link href="${escapeHtml(feed.selfUrl)}" rel="self" type="application/rss+xml"/>
+${feed.entries.map(entry => `    <item>
+      <title>${escapeHtml(entry.title)}</title>
+      <link>${escapeHtml(entry.link)}</link>
+      <guid isPermaLink="false">${escapeHtml(entry.id)}</guid>
+      <pubDate>${new Date(entry.detectedAt).toUTCString()}</pubDate>
+      <category>${escapeHtml(entry.category)}</category>
+      <description>${toCdata(entry.content)}</description>
+    </item>`).join('\n')}
+  </channel>
+</rss>`;
+}
+
+// Montar feed Atom
+function getAtomFeedXml(feed) {
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="pt-BR">
+  <title>${escapeHtml(feed.title)}</title>
+  <subtitle>${escapeHtml(feed.description)}</subtitle>
+  <id>${escapeHtml(feed.selfUrl)}</id>
+  <link href="${escapeHtml(feed.selfUrl)}" rel="self" type="application/atom+xml"/>
+  <link href="${escapeHtml(feed.siteUrl)}" rel="alternate" type="text/html"/>
+  <updated>${feed.updatedAt}</updated>
+  <author><name>Monitor e-SUS APS</name></author>
+${feed.entries.map(entry => `  <entry>
+    <title>${escapeHtml(entry.title)}</title>
+    <id>${escapeHtml(entry.id)}</id>
+    <link href="${escapeHtml(entry.link)}" rel="alternate"/>
+    <updated>${entry.detectedAt}</updated>
+    <published>${entry.detectedAt}</published>
+    <category term="${escapeHtml(entry.category)}"/>
+    <content type="html">${escapeHtml(entry.content)}</content>
+  </entry>`).join('\n')}
+</feed>`;
+}
+
+// Receber atualizações do bot do Telegram: /start, /stop, /topicos e /ajuda
+async function handleTelegramWebhook(request, env) {
+  // O Telegram reenvia o secret_token definido no setWebhook em todo update. Sem o segredo
+  // configurado qualquer um poderia forjar comandos, então a rota recusa tudo.
+  if (!env.TELEGRAM_WEBHOOK_SECRET || request.headers.get(TELEGRAM_CONFIG.SECRET_HEADER) !== env.TELEGRAM_WEBHOOK_SECRET) {
+    return new Response('Não autorizado', { status: 401 });
+  }
+  
+  let update;
+  try {
+    update = await request.json();
+  } catch (error) {
+    return new Response('JSON inválido', { status: 400 });
+  }
+  
+  const message = update.message || update.channel_post;
+  if (!message || !message.chat || typeof message.text !== 'string') {
+    // Outros tipos de update são ignorados; responder 200 evita reenvios
+    return new Response('ok');
+  }
+  
+  const chatId = message.chat.id;
+  const [rawCommand, ...args] = message.text.trim().split(/\s+/);
+  const command = rawCommand.toLowerCase().replace(/@.*$/, '');
+  let reply;
+  
+  try {
+    if (command === '/start') {
+      const existing = await getTelegramSubscriber(env, chatId);
+      await storeTelegramSubscriber(env, existing || {
+        chatId,
+        status: 'active',
+        topics: getSourceIds(),
+        createdAt: new Date().toISOString()
+      });
+      reply = `✅ Inscrição ativada\\! Você receberá: ${formatTelegramTopics(existing ? existing.topics : getSourceIds())}\n\n${getTelegramHelpText()}`;
+      console.log(`Chat do Telegram inscrito: ${chatId}`);
+    } else if (command === '/stop') {
+      await env.ESUS_MONITOR_KV.delete(`${KV_KEYS.TELEGRAM_PREFIX}${chatId}`);
+      reply = 'Inscrição cancelada\\. Envie /start para voltar a receber as atualizações\\.';
+      console.log(`Chat do Telegram removido: ${chatId}`);
+    } else if (command === '/topicos' || command === '/topics') {
+      const subscriber = await getTelegramSubscriber(env, chatId);
+      
+      if (!subscriber) {
+        reply = 'Você ainda não está inscrito\\. Envie /start primeiro\\.';
+      } else if (args.length === 0) {
+        reply = `Tópicos atuais: ${formatTelegramTopics(subscriber.topics)}\n\nDisponíveis: ${formatTelegramTopics(getSourceIds())}\nExemplo: /topicos ledi pec`;
+      } else {
+        const topics = normalizeTopics(args.map(arg => arg.toLowerCase()));
+        
+        if (!topics) {
+          reply = `Nenhum tópico válido\\. Disponíveis: ${formatTelegramTopics(getSourceIds())}`;
+        } else {
+          await storeTelegramSubscriber(env, { ...subscriber, topics });
+          reply = `✅ Tópicos atualizados: ${formatTelegramTopics(topics)}`;
+        }
+      }
+    } else {
+      reply = getTelegramHelpText();
+    }
+    
+    await sendTelegramMessage(env, chatId, reply);
+  } catch (error) {
+    console.error(`Erro ao processar comando do Telegram (${chatId}):`, error);
+  }
+  
+  return new Response('ok');
+}
+
+// Texto de ajuda do bot (MarkdownV2)
+function getTelegramHelpText() {
+  return [
+    '*Monitor e\\-SUS APS*',
+    '/start \\- receber atualizações',
+    '/topicos \\- ver ou alterar os tópicos \\(ex\\.: /topicos ledi\\)',
+    '/stop \\- cancelar a inscrição'
+  ].join('\n');
+}
+
+// Listar tópicos em MarkdownV2 (ex.: `blog`, `ledi`)
+function formatTelegramTopics(topics) {
+  return topics.map(topic => `\`${topic}\``).join(', ');
+}
+
+// Resposta JSON padrão das rotas de administração
+function jsonResponse(data, status = 200) {
+  return new Response(JSON.stringify(data), {
+    status,
+    headers: {
+      'Content-Type': 'application/json',
+      'Cache-Control': 'no-store'
+    }
+  });
+}
+
+// Verificar o token de administração (Authorization: Bearer <ADMIN_TOKEN>).
+// Compara os hashes para não vazar o token pelo tempo de comparação.
+async function isAdminRequest(request, env) {
+  const header = request.headers.get('Authorization') || '';
+  const match = header.match(/^Bearer\s+(.+)$/i);
+  
+  if (!env.ADMIN_TOKEN || !match) {
+    return false;
+  }
+  
+  return await sha256Hex(match[1].trim()) === await sha256Hex(env.ADMIN_TOKEN);
+}
+
+// API de administração (requer ADMIN_TOKEN), incluindo POST /admin/check. Toda requisição
+// autorizada, exceto as consultas ao próprio log e aos dados do painel, é registrada na
+// auditoria com a ação e os detalhes preenchidos pelo handler em `audit`.
+async function handleAdminApi(request, url, env) {
+  if (!(await isAdminRequest(request, env))) {
+    return jsonResponse({ error: 'Não autorizado' }, 401);
+  }
+  
+  let parts;
+  try {
+    parts = url.pathname.replace(/^\/admin\/(api\/)?/, '').split('/').filter(Boolean).map(decodeURIComponent);
+  } catch (error) {
+    return jsonResponse({ error: 'Caminho inválido' }, 400);
+  }
+  
+  const audit = { action: null, details: null };
+  let response;
+  
+  if (parts[0] === 'audit' && request.method === 'GET') {
+    return jsonResponse(await listJsonEntries(env, KV_KEYS.AUDIT_PREFIX, getAdminPageOptions(url)));
+  }
+  
+  if (parts[0] === 'dashboard' && request.method === 'GET') {
+    return jsonResponse(await getDashboardData(env));
+  }
+  
+  if (parts[0] === 'check' && parts.length === 1 && request.method === 'POST') {
+    // ?dryRun=true: extrai e compara, sem gravar no KV nem enviar notificações
+    const dryRun = ['true', '1'].includes(url.searchParams.get('dryRun'));
+    audit.action = dryRun ? 'check.dry_run' : 'check.run';
+    
+    const result = await checkForUpdates(env, { dryRun });
+    audit.details = { notifications: result.notifications.length };
+    
+    response = jsonResponse({
+      dryRun,
+      hasUpdates: result.hasUpdates,
+      notifications: result.notifications.map(notification => ({ type: notification.type, data: notification.data })),
+      sources: result.sources,
+      status: result.status
+    });
+  } else if (parts[0] === 'updates' && parts[2] === 'resend' && request.method === 'POST') {
+    response = await handleAdminResend(env, parts[1], audit);
+  } else if (parts[0] === 'webhooks') {
+    response = await handleAdminWebhooks(request, env, parts.slice(1), audit);
+  } else if (parts[0] === 'subscribers') {
+    response = await handleAdminSubscribers(request, url, env, parts.slice(1), audit);
+  } else if (parts[0] === 'sources') {
+    response = await handleAdminSources(request, env, parts.slice(1), audit);
+  } else if (parts[0] === 'captured-emails' && request.method === 'GET') {
+    audit.action = 'captured_emails.list';
+    response = jsonResponse({ emails: await listCapturedEmails(env) });
+  } else {
+    response = jsonResponse({ error: 'Rota não encontrada' }, 404);
+  }
+  
+  await storeAuditEntry(env, request, url, audit, response.status);
+  return response;
+}
+
+// Paginação das listagens administrativas (?limit=&cursor=)
+function getAdminPageOptions(url) {
+  const limit = parseInt(url.searchParams.get('limit'), 10);
+  
+  return {
+    limit: Number.isInteger(limit) && limit > 0 ? Math.min(limit, ADMIN_CONFIG.MAX_PAGE_SIZE) : ADMIN_CONFIG.PAGE_SIZE,
+    cursor: url.searchParams.get('cursor') || null
+  };
+}
+
+// Gravar entrada no log de auditoria (falhas não interrompem a ação já executada)
+async function storeAuditEntry(env, request, url, audit, status) {
+  try {
+    const at = new Date();
+    const inverted = String(9999999999999 - at.getTime()).padStart(13, '0');
+    const entry = {
+      id: crypto.randomUUID(),
+      at: at.toISOString(),
+      action: audit.action || `${request.method} ${url.pathname}`,
+      method: request.method,
+      path: url.pathname,
+      status,
+      ip: request.headers.get('CF-Connecting-IP') || null,
+      details: audit.details
+    };
+    
+    await env.ESUS_MONITOR_KV.put(`${KV_KEYS.AUDIT_PREFIX}${inverted}:${entry.id}`, JSON.stringify(entry), {
+      expirationTtl: ADMIN_CONFIG.AUDIT_RETENTION_DAYS * 24 * 60 * 60
+    });
+  } catch (error) {
+    console.error('Erro ao gravar log de auditoria:', error);
+  }
+}
+
+// Listar registros JSON de um prefixo (auditoria, erros), na ordem das chaves
+async function listJsonEntries(env, prefix, { limit, cursor = null }) {
+  const options = { prefix, limit };
+  if (cursor) {
+    options.cursor = cursor;
+  }
+  
+  const page = await env.ESUS_MONITOR_KV.list(options);
+  const entries = [];
+  
+  for (const key of page.keys) {
+    const entryJson = await env.ESUS_MONITOR_KV.get(key.name);
+    if (entryJson) {
+      entries.push(JSON.parse(entryJson));
+    }
+  }
+  
+  return { entries, cursor: page.list_complete ? null : page.cursor };
+}
+
+// Inscritos: GET/POST /subscribers, GET /subscribers/export, POST /subscribers/import,
+// GET/DELETE /subscribers/:email
+async function handleAdminSubscribers(request, url, env, parts, audit) {
+  const [target] = parts;
+  
+  if (!target && request.method === 'GET') {
+    const query = (url.searchParams.get('q') || '').trim().toLowerCase();
+    const status = url.searchParams.get('status') || null;
+    audit.action = 'subscribers.list';
+    audit.details = { q: query || null, status };
+    
+    return jsonResponse(await searchSubscribers(env, { ...getAdminPageOptions(url), query, status }));
+  }
+  
+  if (!target && request.method === 'POST') {
+    let body;
+    try {
+      body = await request.json();
+    } catch (error) {
+      return jsonResponse({ error: 'JSON inválido' }, 400);
+    }
+    
+    const result = await importSubscriberRow(env, body);
+    audit.action = 'subscribers.add';
+    audit.details = { email: result.email || null, result: result.status };
+    
+    if (result.status === 'invalid') {
+      return jsonResponse({ error: result.error }, 400);
+    }
+    
+    return jsonResponse({ subscriber: result.subscriber, result: result.status }, result.status === 'created' ? 201 : 200);
+  }
+  
+  if (target === 'export' && request.method === 'GET') {
+    const status = url.searchParams.get('status') || null;
+    const csv = await exportSubscribersCsv(env, status);
+    audit.action = 'subscribers.export';
+    audit.details = { status, rows: csv.rows };
+    
+    return new Response(csv.text, {
+      status: 200,
+      headers: {
+        'Content-Type': 'text/csv; charset=utf-8',
+        'Content-Disposition': `attachment; filename="inscritos-${new Date().toISOString().slice(0, 10)}.csv"`,
+        'Cache-Control': 'no-store'
+      }
+    });
+  }
+  
+  if (target === 'import' && request.method === 'POST') {
+    const rows = parseCsv(await request.text());
+    audit.action = 'subscribers.import';
+    
+    if (rows.length < 2 || !rows[0].map(column => column.trim().toLowerCase()).includes('email')) {
+      return jsonResponse({ error: 'CSV deve ter cabeçalho com a coluna "email" e ao menos uma linha' }, 400);
+    }
+    
+    if (rows.length - 1 > ADMIN_CONFIG.IMPORT_MAX_ROWS) {
+      return jsonResponse({ error: `Máximo de ${ADMIN_CONFIG.IMPORT_MAX_ROWS} linhas por importação` }, 400);
+    }
+    
+    const result = await importSubscribersCsv(env, rows);
+    audit.details = { created: result.created, updated: result.updated, unchanged: result.unchanged, invalid: result.invalid.length };
+    
+    return jsonResponse(result);
+  }
+  
+  const email = normalizeEmail(target || '');
+  if (!isValidEmail(email)) {
+    return jsonResponse({ error: 'Rota não encontrada' }, 404);
+  }
+  
+  if (request.method === 'GET') {
+    audit.action = 'subscribers.get';
+    audit.details = { email };
+    const subscriber = await getSubscriber(env, email);
+    return subscriber ? jsonResponse({ subscriber }) : jsonResponse({ error: 'Inscrito não encontrado' }, 404);
+  }
+  
+  if (request.method === 'DELETE') {
+    audit.action = 'subscribers.remove';
+    audit.details = { email };
+    
+    if (!(await deleteSubscriber(env, email))) {
+      return jsonResponse({ error: 'Inscrito não encontrado' }, 404);
+    }
+    
+    console.log(`Inscrito removido pela administração: ${email}`);
+    return jsonResponse({ deleted: email });
+  }
+  
+  return jsonResponse({ error: 'Rota não encontrada' }, 404);
+}
+
+// Buscar inscritos por trecho do e-mail. Sem busca, pagina só pelas chaves do KV;
+// com busca, lê os registros até completar a página ou atingir SEARCH_SCAN_LIMIT.
+async function searchSubscribers(env, { limit, cursor, query, status }) {
+  if (!query) {
+    return await listSubscribers(env, { cursor, limit, status });
+  }
+  
+  const subscribers = [];
+  let scanned = 0;
+  let page = { cursor, complete: false };
+  
+  do {
+    page = await listSubscribers(env, { cursor: page.cursor, limit, status });
+    scanned += limit;
+    subscribers.push(...page.subscribers.filter(subscriber => subscriber.email.includes(query)));
+  } while (!page.complete && subscribers.length < limit && scanned < ADMIN_CONFIG.SEARCH_SCAN_LIMIT);
+  
+  return { subscribers, cursor: page.cursor, complete: page.complete };
+}
+
+// Adicionar ou atualizar um inscrito a partir de { email, topics, delivery }.
+// A administração cadastra diretamente como ativo, sem o e-mail de confirmação.
+async function importSubscriberRow(env, row) {
+  const email = typeof row.email === 'string' ? normalizeEmail(row.email) : '';
+  if (!isValidEmail(email)) {
+    return { status: 'invalid', email, error: 'E-mail inválido' };
+  }
+  
+  const topics = row.topics === undefined || row.topics === null || row.topics === '' ? null : normalizeTopics(row.topics);
+  if (row.topics && !topics) {
+    return { status: 'invalid', email, error: 'Nenhum tópico válido' };
+  }
+  
+  const delivery = row.delivery || null;
+  if (delivery && !DELIVERY_MODES[delivery]) {
+    return { status: 'invalid', email, error: 'Frequência de envio inválida' };
+  }
+  
+  const existing = await getSubscriber(env, email);
+  if (existing && existing.status === 'active' && !topics && !delivery) {
+    return { status: 'unchanged', email, subscriber: existing };
+  }
+  
+  const now = new Date().toISOString();
+  const { expiresAt, ...base } = existing || createSubscriberRecord(email);
+  const subscriber = {
+    ...base,
+    status: 'active',
+    confirmedAt: base.confirmedAt || now,
+    preferences: {
+      ...base.preferences,
+      ...(topics ? { topics } : {}),
+      ...(delivery ? { delivery } : {})
+    }
+  };
+  
+  if (!(await storeSubscriber(env, subscriber))) {
+    return { status: 'invalid', email, error: 'Falha ao gravar o inscrito' };
+  }
+  
+  return { status: existing ? 'updated' : 'created', email, subscriber };
+}
+
+// Importar linhas de CSV (a primeira é o cabeçalho; tópicos separados por ";")
+async function importSubscribersCsv(env, rows) {
+  const header = rows[0].map(column => column.trim().toLowerCase());
+  const result = { created: 0, updated: 0, unchanged: 0, invalid: [] };
+  
+  for (let i = 1; i < rows.length; i++) {
+    const values = Object.fromEntries(header.map((column, index) => [column, (rows[i][index] || '').trim()]));
+    if (!values.email) {
+      continue;
+    }
+    
+    // Desfaz o apóstrofo que a exportação acrescenta antes de = + - @
+    const row = await importSubscriberRow(env, {
+      email: values.email.replace(/^'(?=[=+\-@])/, ''),
+      topics: values.topics ? values.topics.split(/[;|]/).map(topic => topic.trim()).filter(Boolean) : null,
+      delivery: values.delivery || null
+    });
+    
+    if (row.status === 'invalid') {
+      result.invalid.push({ line: i + 1, email: values.email, error: row.error });
+    } else {
+      result[row.status]++;
+    }
+  }
+  
+  console.log(`Importação de inscritos: ${result.created} novo(s), ${result.updated} atualizado(s), ${result.invalid.length} inválido(s)`);
+  return result;
+}
+
+// Exportar inscritos em CSV, percorrendo todas as páginas do KV
+async function exportSubscribersCsv(env, status) {
+  const lines = [toCsvRow(ADMIN_CONFIG.CSV_COLUMNS)];
+  let cursor = null;
+  
+  do {
+    const page = await listSubscribers(env, { cursor, limit: 1000, status });
+    
+    for (const subscriber of page.subscribers) {
+      lines.push(toCsvRow([
+        subscriber.email,
+        subscriber.status,
+        getSubscriberTopics(subscriber).join(';'),
+        getSubscriberDelivery(subscriber),
+        subscriber.createdAt,
+        subscriber.confirmedAt,
+        subscriber.lastSentAt
+      ]));
+    }
+    
+    cursor = page.cursor;
+  } while (cursor);
+  
+  return { text: `${lines.join('\r\n')}\r\n`, rows: lines.length - 1 };
+}
+
+// Linha CSV (RFC 4180). Valores iniciados por = + - @ ganham um apóstrofo para não
+// serem interpretados como fórmula pelas planilhas.
+function toCsvRow(values) {
+  return values.map(value => {
+    let text = value === null || value === undefined ? '' : String(value);
+    
+    if (/^[=+\-@]/.test(text)) {
+      text = `'${text}`;
+    }
+    
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }).join(',');
+}
+
+// Ler CSV (RFC 4180): campos entre aspas podem conter vírgulas, aspas duplicadas e quebras de linha
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  const input = text.replace(/^\uFEFF/, '');
+  
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  
+  return rows.filter(values => values.some(value => value.trim() !== ''));
+}
+
+// Reenviar por todos os canais uma notificação do histórico (POST /updates/:id/resend)
+async function handleAdminResend(env, id, audit) {
+  audit.action = 'updates.resend';
+  audit.details = { id };
+  
+  const key = `${KV_KEYS.HISTORY_PREFIX}${id}`;
+  const entryJson = id ? await env.ESUS_MONITOR_KV.get(key) : null;
+  if (!entryJson) {
+    return jsonResponse({ error: 'Atualização não encontrada' }, 404);
+  }
+  
+  const entry = JSON.parse(entryJson);
+  if (!getSource(entry.source)) {
+    return jsonResponse({ error: `Fonte não registrada: ${entry.source}` }, 409);
+  }
+  
+  const data = await getHistoryNotificationData(env, entry);
+  const notification = { type: entry.source, data };
+  const status = { resentAt: new Date().toISOString() };
+  
+  // A entrada original guarda o resultado da detecção; o reenvio fica só na auditoria
+  await dispatchNotifications(env, [notification], status, [null]);
+  console.log(`Notificação reenviada pela administração: ${id}`);
+  
+  audit.details = {
+    id,
+    source: entry.source,
+    resentAt: status.resentAt,
+    telegramSent: notification.telegramSent || 0,
+    webhooksDelivered: notification.webhooksDelivered || 0,
+    webhooksFailed: notification.webhooksFailed || 0,
+    emailStatus: status.emailStatus || 'queued'
+  };
+  
+  return jsonResponse({ resent: id, status });
+}
+
+// Dados do painel: status, contagem de inscritos, últimas detecções, erros e falhas de entrega
+async function getDashboardData(env) {
+  const [status, active, pending, stats, errors, webhookFailures, emailJobs] = await Promise.all([
+    getSystemStatus(env),
+    getSubscriberCount(env, 'active'),
+    getSubscriberCount(env, 'pending'),
+    listJsonEntries(env, KV_KEYS.SUBSCRIBER_STATS_PREFIX, { limit: ADMIN_CONFIG.STATS_DAYS + 1 }),
+    listJsonEntries(env, KV_KEYS.ERROR_LOG_PREFIX, { limit: ADMIN_CONFIG.DASHBOARD_ITEMS }),
+    listFailedWebhookDeliveries(env),
+    listRecentEmailJobs(env)
+  ]);
+  
+  const detections = [];
+  for (const source of getSources()) {
+    const history = await listHistory(env, { source: source.id, limit: 1 });
+    const latest = history.items[0] || null;
+    
+    detections.push({
+      source: source.id,
+      name: source.name,
+      icon: source.icon,
+      // Mesmo título do e-mail e do feed
+      title: latest ? source.renderEmail(latest.payload).subject : null,
+      latest
+    });
+  }
+  
+  return {
+    status,
+    subscribers: {
+      active,
+      pending,
+      history: stats.entries.slice(-ADMIN_CONFIG.STATS_DAYS)
+    },
+    detections,
+    errors: errors.entries,
+    failedDeliveries: {
+      webhooks: webhookFailures,
+      emailJobs: emailJobs.filter(job => job.failed > 0 || job.lastError)
+    },
+    pendingEmailJobs: emailJobs.filter(job => job.status !== 'done').length
+  };
+}
+
+// Entregas de webhook com falha mais recentes, de todos os webhooks
+async function listFailedWebhookDeliveries(env) {
+  const failures = [];
+  
+  for (const webhook of await listWebhooks(env)) {
+    const deliveries = await listWebhookDeliveries(env, webhook.id, ADMIN_CONFIG.DASHBOARD_ITEMS);
+    failures.push(...deliveries
+      .filter(delivery => delivery.status === 'failed')
+      .map(delivery => ({ ...delivery, url: webhook.url, name: webhook.name })));
+  }
+  
+  return failures
+    .sort((a, b) => b.deliveredAt.localeCompare(a.deliveredAt))
+    .slice(0, ADMIN_CONFIG.DASHBOARD_ITEMS);
+}
+
+// Resumo dos jobs de e-mail mais recentes (as chaves estão em ordem de criação)
+async function listRecentEmailJobs(env) {
+  const page = await env.ESUS_MONITOR_KV.list({ prefix: KV_KEYS.EMAIL_JOB_PREFIX });
+  const jobs = [];
+  
+  for (const key of page.keys.slice(-ADMIN_CONFIG.DASHBOARD_ITEMS).reverse()) {
+    const jobJson = await env.ESUS_MONITOR_KV.get(key.name);
+    if (!jobJson) {
+      continue;
+    }
+    
+    const job = JSON.parse(jobJson);
+    jobs.push({
+      id: job.id,
+      status: job.status,
+      period: job.period,
+      createdAt: job.createdAt,
+      updatedAt: job.updatedAt,
+      subscribersProcessed: job.subscribersProcessed,
+      sources: job.notifications.map(notification => notification.type),
+      sent: job.notifications.reduce((total, notification) => total + notification.sent, 0),
+      failed: job.notifications.reduce((total, notification) => total + notification.failed, 0),
+      lastError: job.lastError || null
+    });
+  }
+  
+  return jobs;
+}
+
+// Registrar a contagem diária de inscritos (uma chave por dia, sobrescrita se o cron repetir)
+async function storeSubscriberStats(env, now = new Date()) {
+  const date = now.toISOString().slice(0, 10);
+  const stats = {
+    date,
+    active: await getSubscriberCount(env, 'active'),
+    pending: await getSubscriberCount(env, 'pending')
+  };
+  
+  await env.ESUS_MONITOR_KV.put(`${KV_KEYS.SUBSCRIBER_STATS_PREFIX}${date}`, JSON.stringify(stats), {
+    expirationTtl: (ADMIN_CONFIG.STATS_DAYS + 1) * 24 * 60 * 60
+  });
+  
+  return stats;
+}
+
+// Fontes: GET /sources, GET /sources/:id, POST /sources/:id/reset
+async function handleAdminSources(request, env, parts, audit) {
+  const [id, action] = parts;
+  const systemStatus = await getSystemStatus(env);
+  
+  if (!id && request.method === 'GET') {
+    audit.action = 'sources.list';
+    const sources = [];
+    
+    for (const source of getSources()) {
+      sources.push(getAdminSourceView(source, systemStatus, await getSourceState(env, source), false));
+    }
+    
+    return jsonResponse({ lastCheck: systemStatus.lastCheck, sources });
+  }
+  
+  const source = id ? getSource(id) : null;
+  if (!source) {
+    return jsonResponse({ error: 'Fonte não encontrada' }, 404);
+  }
+  
+  if (!action && request.method === 'GET') {
+    audit.action = 'sources.get';
+    audit.details = { source: id };
+    return jsonResponse({ source: getAdminSourceView(source, systemStatus, await getSourceState(env, source), true) });
+  }
+  
+  if (action === 'reset' && request.method === 'POST') {
+    audit.action = 'sources.reset';
+    const stored = await getSourceState(env, source);
+    const state = stored && source.resetState ? source.resetState(stored) : null;
+    
+    if (state) {
+      await storeSourceState(env, source, state);
+    } else {
+      await env.ESUS_MONITOR_KV.delete(source.stateKey);
+    }
+    
+    audit.details = { source: id, previous: stored ? getStateSummary(stored) : null };
+    console.log(`Estado da fonte ${source.name} reiniciado pela administração`);
+    
+    return jsonResponse({
+      reset: id,
+      message: 'A próxima verificação notificará novamente a atualização mais recente desta fonte'
+    });
+  }
+  
+  return jsonResponse({ error: 'Rota não encontrada' }, 404);
+}
+
+// Visão administrativa de uma fonte; na listagem o estado omite os textos completos
+function getAdminSourceView(source, systemStatus, state, full) {
+  return {
+    id: source.id,
+    name: source.name,
+    url: source.url,
+    stateKey: source.stateKey,
+    status: systemStatus[`${source.id}Status`] || null,
+    fetchMethod: systemStatus[`${source.id}FetchMethod`] || null,
+    state: state && !full ? getStateSummary(state) : state
+  };
+}
+
+// Estado sem os campos volumosos (textos normalizados e lista de links vistos)
+function getStateSummary(state) {
+  const { text, pages, seenLinks, ...summary } = state;
+  
+  if (Array.isArray(seenLinks)) {
+    summary.seenLinksCount = seenLinks.length;
+  }
+  
+  return summary;
+}
+
+// Cadastro de webhooks: GET/POST /webhooks, DELETE /webhooks/:id, GET /webhooks/:id/deliveries
+async function handleAdminWebhooks(request, env, parts, audit) {
+  const [id, action] = parts;
+  
+  if (!id && request.method === 'GET') {
+    audit.action = 'webhooks.list';
+    const webhooks = await listWebhooks(env);
+    return jsonResponse({ webhooks: webhooks.map(({ secret, ...webhook }) => webhook) });
+  }
+  
+  if (!id && request.method === 'POST') {
+    let body;
+    try {
+      body = await request.json();
+    } catch (error) {
+      return jsonResponse({ error: 'JSON inválido' }, 400);
+    }
+    
+    let targetUrl = null;
+    try {
+      targetUrl = new URL(body.url);
+    } catch (error) {
+      targetUrl = null;
+    }
+    
+    if (!targetUrl || targetUrl.protocol !== 'https:') {
+      return jsonResponse({ error: 'URL inválida (use https://)' }, 400);
+    }
+    
+    const topics = body.topics === undefined ? getSourceIds() : normalizeTopics(body.topics);
+    if (!topics) {
+      return jsonResponse({ error: 'Selecione ao menos um tópico válido' }, 400);
+    }
+    
+    const format = body.format || 'json';
+    if (!WEBHOOK_CONFIG.FORMATS.includes(format)) {
+      return jsonResponse({ error: `Formato inválido (use ${WEBHOOK_CONFIG.FORMATS.join(', ')})` }, 400);
+    }
+    
+    if (body.secret !== undefined && (typeof body.secret !== 'string' || body.secret.length < 16)) {
+      return jsonResponse({ error: 'O segredo deve ter ao menos 16 caracteres' }, 400);
+    }
+    
+    // Incoming webhooks de chat não verificam assinatura; só o formato json recebe segredo
+    const webhook = {
+      id: crypto.randomUUID(),
+      url: targetUrl.toString(),
+      name: typeof body.name === 'string' ? body.name.trim() : null,
+      format,
+      secret: format === 'json' ? body.secret || base64UrlEncode(crypto.getRandomValues(new Uint8Array(32))) : null,
+      topics,
+      active: true,
+      createdAt: new Date().toISOString()
+    };
+    
+    await env.ESUS_MONITOR_KV.put(`${KV_KEYS.WEBHOOK_PREFIX}${webhook.id}`, JSON.stringify(webhook));
+    console.log(`Webhook cadastrado: ${webhook.id} (${webhook.url})`);
+    audit.action = 'webhooks.create';
+    audit.details = { id: webhook.id, url: webhook.url, format, topics };
+    
+    // O segredo só é devolvido no cadastro
+    return jsonResponse({ webhook }, 201);
+  }
+  
+  const webhook = id ? await getWebhook(env, id) : null;
+  if (!webhook) {
+    return jsonResponse({ error: 'Webhook não encontrado' }, 404);
+  }
+  
+  if (!action && request.method === 'DELETE') {
+    audit.action = 'webhooks.remove';
+    audit.details = { id, url: webhook.url };
+    await env.ESUS_MONITOR_KV.delete(`${KV_KEYS.WEBHOOK_PREFIX}${id}`);
+    console.log(`Webhook removido: ${id}`);
+    return jsonResponse({ deleted: id });
+  }
+  
+  if (action === 'deliveries' && request.method === 'GET') {
+    audit.action = 'webhooks.deliveries';
+    audit.details = { id };
+    return jsonResponse({ deliveries: await listWebhookDeliveries(env, id) });
+  }
+  
+  return jsonResponse({ error: 'Rota não encontrada' }, 404);
+}
+
+// Função para verificar saúde do sistema
+async function handleHealthCheck(env) {
+  try {
+    const subscriberCount = await getSubscriberCount(env);
+    const systemStatus = await getSystemStatus(env);
+    const dkim = await getDkimStatus(env);
+    
+    return new Response(
+      JSON.stringify({ 
+        status: 'ok',
+        subscribers: subscriberCount,
+        lastCheck: systemStatus.lastCheck,
+        email: {
+          provider: env.EMAIL_PROVIDER || EMAIL_CONFIG.DEFAULT_PROVIDER,
+          fromEmail: env.FROM_EMAIL || EMAIL_CONFIG.DEFAULT_FROM_EMAIL,
+          dkim
+        },
+        timestamp: new Date().toISOString()
+      }), 
+      { 
+        status: 200,
+        headers: { 
+          'Content-Type': 'application/json',
+          'Cache-Control': 'no-cache'
+        }
+      }
+    );
+  } catch (error) {
+    console.error('Erro no health check:', error);
+    
+    return new Response(
+      JSON.stringify({ 
+        status: 'error', 
+        message: error.message,
+        timestamp: new Date().toISOString()
+      }), 
+      { 
+        status: 500,
+        headers: { 'Content-Type': 'application/json' }
+      }
+    );
+  }
+}
+
+// Função para servir arquivos estáticos do frontend
+async function serveStaticFiles(pathname) {
+  // Mapear caminhos para arquivos
+  const fileMap = {
+    '/': 'index.html',
+    '/index.html': 'index.html',
+    '/styles.css': 'styles.css',
+    '/script.js': 'script.js',
+    '/admin': 'admin.html',
+    '/admin/': 'admin.html',
+    '/admin.js': 'admin.js'
+  };
+  
+  const filename = fileMap[pathname];
+  if (!filename) {
+    return new Response('Arquivo não encontrado', { status: 404 });
+  }
+  
+  // Determinar Content-Type
+  const contentTypes = {
+    'html': 'text/html; charset=utf-8',
+    'css': 'text/css; charset=utf-8',
+    'js': 'application/javascript; charset=utf-8'
+  };
+  
+  const extension = filename.split('.').pop();
+  const contentType = contentTypes[extension] || 'text/plain';
+  
+  try {
+    // Servir arquivos estáticos
+    if (filename === 'index.html') {
+      return new Response(getIndexHtml(), { 
+        headers: { 'Content-Type': contentType }
+      });
+    } else if (filename === 'styles.css') {
+      return new Response(getStylesCss(), { 
+        headers: { 'Content-Type': contentType }
+      });
+    } else if (filename === 'script.js') {
+      return new Response(getScriptJs(), { 
+        headers: { 'Content-Type': contentType }
+      });
+    } else if (filename === 'admin.html') {
+      // O painel só carrega dados com o token; a página em si não é sensível
+      return new Response(getAdminHtml(), { 
+        headers: { 'Content-Type': contentType, 'Cache-Control': 'no-store' }
+      });
+    } else if (filename === 'admin.js') {
+      return new Response(getAdminJs(), { 
+        headers: { 'Content-Type': contentType }
+      });
+    }
+    
+    return new Response('Arquivo não encontrado', { status: 404 });
+    
+  } catch (error) {
+    console.error('Erro ao servir arquivo estático:', error);
+    return new Response('Erro interno do servidor', { status: 500 });
+  }
+}
+
+// Montar resposta HTML
+function htmlResponse(html, status = 200) {
+  return new Response(html, {
+    status,
+    headers: { 
+      'Content-Type': 'text/html; charset=utf-8',
+      'Cache-Control': 'no-store'
+    }
+  });
+}
+
+// Checkboxes de tópicos usados no formulário de inscrição e na página de preferências
+function getTopicCheckboxesHtml(selectedTopics) {
+  const options = getSources().map(source => `
+                    <label class="topic-option">
+                        <input type="checkbox" name="topics" value="${source.id}"${selectedTopics.includes(source.id) ? ' checked' : ''}>
+                        <span><strong>${source.name}</strong> — ${source.description}</span>
+                    </label>`).join('');
+  
+  return `<fieldset class="topics">
+                    <legend>Tópicos</legend>${options}
+                </fieldset>`;
+}
+
+// Opções de frequência de envio (página de preferências)
+function getDeliveryOptionsHtml(selectedDelivery) {
+  const options = Object.entries(DELIVERY_MODES).map(([mode, label]) => `
+                    <label class="topic-option">
+                        <input type="radio" name="delivery" value="${mode}"${mode === selectedDelivery ? ' checked' : ''}>
+                        <span>${label}</span>
+                    </label>`).join('');
+  
+  return `<fieldset class="topics">
+                    <legend>Frequência</legend>${options}
+                </fieldset>`;
+}
+
+// Template para páginas simples servidas pelo worker (confirmação, erros)
+function getPageHtml(title, content) {
+  return `<!DOCTYPE html>
+<html lang="pt-BR">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${title} - Monitor e-SUS APS</title>
+    <link rel="stylesheet" href="/styles.css">
+</head>
+<body>
+    <div class="container">
+        <header class="header">
+            <h1>🏥 Monitor e-SUS APS</h1>
+        </header>
+
+        <main class="main">
+            <section class="subscription">
+                ${content}
+            </section>
+        </main>
+    </div>
+</body>
+</html>`;
+}
+
+// Monitor do blog do e-SUS APS: usa o feed RSS/Atom e, sem feed, o HTML da sidebar
+async function getLatestBlogPost() {
+  try {
+    console.log('Buscando posts do blog e-SUS');
+    
+    let posts = null;
+    let fetchMethod = 'html';
+    
+    try {
+      const feed = await fetchBlogFeed();
+      if (feed) {
+        posts = feed.items;
+        fetchMethod = feed.format;
+      }
+    } catch (feedError) {
+      console.warn('Feed do blog indisponível, usando HTML:', feedError.message);
+    }
+    
+    if (!posts) {
+      posts = await scrapeBlogSidebar();
+    }
+    
+    const extractedAt = new Date().toISOString();
+    const uniquePosts = [];
+    
+    for (const post of posts) {
+      // Normalizar barra final para que feed e HTML gerem o mesmo link
+      const link = post.link ? post.link.replace(/\/+$/, '') : null;
+      
+      if (post.title && link && !uniquePosts.some(existing => existing.link === link)) {
+        uniquePosts.push({ ...post, link, extractedAt });
+      }
+    }
+    
+    // Validar dados extraídos
+    if (uniquePosts.length === 0) {
+      throw new Error('Não foi possível extrair dados do blog');
+    }
+    
+    const latestPost = {
+      title: uniquePosts[0].title,
+      link: uniquePosts[0].link,
+      posts: uniquePosts,
+      fetchMethod,
+      extractedAt
+    };
+    
+    console.log(`Blog (${fetchMethod}) bem-sucedido: ${uniquePosts.length} post(s), mais recente "${latestPost.title}"`);
+    return latestPost;
+    
+  } catch (error) {
+    console.error('Erro no monitoramento do blog:', error);
+    throw error;
+  }
+}
+
+// Buscar o feed do blog; retorna null se nenhum feed válido estiver disponível
+async function fetchBlogFeed() {
+  for (const feedUrl of SOURCES.BLOG_FEEDS) {
+    const response = await fetch(feedUrl, {
+      headers: {
+        'User-Agent': 'Mozilla/5.0 (compatible; e-SUS Monitor/1.0)',
+        'Accept': 'application/rss+xml, application/atom+xml, application/xml;q=0.9, */*;q=0.8'
+      }
+    });
+    
+    if (!response.ok) {
+      continue;
+    }
+    
+    const feed = parseFeed(await response.text(), feedUrl);
+    if (feed && feed.items.length > 0) {
+      return feed;
+    }
+  }
+  
+  return null;
+}
+
+// Interpretar feed RSS 2.0 ou Atom; retorna { format, items } ou null se não for um feed
+function parseFeed(xml, baseUrl) {
+  const resolveLink = link => link ? new URL(link, baseUrl).toString() : null;
+  const toIsoDate = value => {
+    const date = value ? new Date(value) : null;
+    return date && !isNaN(date.getTime()) ? date.toISOString() : null;
+  };
+  
+  let format;
+  let items;
+  
+  if (/<rss[\s>]/i.test(xml)) {
+    format = 'rss';
+    items = getXmlBlocks(xml, 'item').map(item => ({
+      title: getXmlText(item, 'title'),
+      link: resolveLink(getXmlText(item, 'link') || getXmlText(item, 'guid')),
+      publishedAt: toIsoDate(getXmlText(item, 'pubDate') || getXmlText(item, 'dc:date')),
+      summary: summarizeFeedContent(getXmlText(item, 'description') || getXmlText(item, 'content:encoded'))
+    }));
+  } else if (/<feed[\s>]/i.test(xml)) {
+    format = 'atom';
+    items = getXmlBlocks(xml, 'entry').map(entry => ({
+      title: getXmlText(entry, 'title'),
+      link: resolveLink(getAtomLink(entry)),
+      publishedAt: toIsoDate(getXmlText(entry, 'published') || getXmlText(entry, 'updated')),
+      summary: summarizeFeedContent(getXmlText(entry, 'summary') || getXmlText(entry, 'content'))
+    }));
+  } else {
+    return null;
+  }
+  
+  items = items.filter(item => item.title && item.link);
+  
+  // Mais recente primeiro
+  if (items.every(item => item.publishedAt)) {
+    items.sort((a, b) => b.publishedAt.localeCompare(a.publishedAt));
+  }
+  
+  return { format, items };
+}
+
+// Obter os blocos <tag>...</tag> de um documento XML
+function getXmlBlocks(xml, tag) {
+  const pattern = new RegExp(`<${tag}(?:\\s[^>]*)?>([\\s\\S]*?)</${tag}>`, 'gi');
+  return Array.from(xml.matchAll(pattern), match => match[1]);
+}
+
+// Obter o texto do primeiro elemento <tag> (com CDATA e entidades decodificados)
+function getXmlText(xml, tag) {
+  const blocks = getXmlBlocks(xml, tag.replace(':', '\\:'));
+  if (blocks.length === 0) {
+    return null;
+  }
+  
+  const cdata = blocks[0].match(/^\s*<!\[CDATA\[([\s\S]*?)\]\]>\s*$/);
+  const text = cdata ? cdata[1] : decodeXmlEntities(blocks[0]);
+  return text.trim() || null;
+}
+
+// Obter o link "alternate" de uma entrada Atom
+function getAtomLink(entry) {
+  const links = Array.from(entry.matchAll(/<link\b([^>]*)\/?>/gi), match => match[1]);
+  const alternate = links.find(attrs => !/rel=/i.test(attrs) || /rel=["']alternate["']/i.test(attrs));
+  const hrefMatch = alternate && alternate.match(/href=["']([^"']+)["']/i);
+  return hrefMatch ? decodeXmlEntities(hrefMatch[1]) : null;
+}
+
+// Decodificar entidades XML/HTML básicas
+function decodeXmlEntities(text) {
+  return text
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&#(\d+);/g, (match, code) => String.fromCodePoint(parseInt(code, 10)))
+    .replace(/&#x([0-9a-f]+);/gi, (match, code) => String.fromCodePoint(parseInt(code, 16)))
+    .replace(/&amp;/g, '&');
+}
+
+// Resumir conteúdo do feed em texto puro (sem tags), limitado a 500 caracteres
+function summarizeFeedContent(content) {
+  if (!content) {
+    return null;
+  }
+  
+  const text = decodeXmlEntities(content.replace(/<[^>]+>/g, ' ')).replace(/\s+/g, ' ').trim();
+  return text.length > 500 ? `${text.substring(0, 500)}...` : text;
+}
+
+// Scraper da sidebar do blog (usado quando não há feed disponível)
+async function scrapeBlogSidebar() {
+  const response = await fetch(SOURCES.BLOG, {
+    headers: {
+      'User-Agent': 'Mozilla/5.0 (compatible; e-SUS Monitor/1.0)',
+      'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8'
+    }
+  });
+  
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+  }
+  
+  const posts = [];
+  let currentPost = null;
+  
+  // Usar HTMLRewriter para extrair todos os posts da sidebar (mais recente primeiro)
+  const rewriter = new HTMLRewriter()
+    .on('.sidebarItemList_Yudw a', {
+      element(element) {
+        const href = element.getAttribute('href') || '';
+        
+        currentPost = {
+          title: (element.getAttribute('title') || '').trim(),
+          link: href.startsWith('http') ? href : `https://sisaps.saude.gov.br${href}`,
+          label: ''
+        };
+        
+        if (href) {
+          posts.push(currentPost);
+        }
+      },
+      text(text) {
+        if (currentPost) {
+          currentPost.label += text.text;
+        }
+      }
+    });
+  
+  await rewriter.transform(response).arrayBuffer();
+  
+  return posts.map(post => ({
+    title: post.title || post.label.replace(/\s+/g, ' ').trim(),
+    link: post.link
+  }));
+}
+
+// Scraper para a API LEDI
+async function getLatestLediVersion() {
+  try {
+    console.log('Fazendo scraping da LEDI');
+    
+    const response = await fetch(SOURCES.LEDI, {
+      headers: {
+        'User-Agent': 'Mozilla/5.0 (compatible; e-SUS Monitor/1.0)',
+        'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8'
+      }
+    });
+    
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    }
+    
+    let latestVersion = {
+      version: null,
+      extractedAt: new Date().toISOString()
+    };
+    
+    const html = await response.text();
+    let isFirstRow = true;
+    
+    // Usar HTMLRewriter para extrair a primeira versão da tabela
+    const rewriter = new HTMLRewriter()
+      .on('table tbody tr td:first-child', {
+        text(text) {
+          if (isFirstRow && text.text && text.text.trim()) {
+            latestVersion.version = text.text.trim();
+            isFirstRow = false;
+          }
+        }
+      });
+    
+    await rewriter.transform(new Response(html)).arrayBuffer();
+    
+    // Validar dados extraídos
+    if (!latestVersion.version) {
+      throw new Error('Não foi possível extrair versão da LEDI');
+    }
+    
+    // Texto normalizado das páginas lidas, usado para calcular as diferenças
+    latestVersion.pages = [{ url: SOURCES.LEDI, text: normalizePageContent(html) }];
+    
+    // Buscar alterações estruturadas e selecionar a seção da versão detectada
+    try {
+      const { entries: changelog, text } = await getLediChangelog();
+      const entry = findLediChangelogEntry(changelog, latestVersion.version);
+      
+      latestVersion.pages.push({ url: SOURCES.LEDI_CHANGES, text });
+      latestVersion.changelog = changelog;
+      latestVersion.changelogEntry = entry;
+      latestVersion.changes = entry && entry.changes.length > 0
+        ? entry.changes.join('\n')
+        : 'Alterações não disponíveis para esta versão';
+    } catch (changesError) {
+      console.warn('Erro ao buscar alterações da LEDI:', changesError.message);
+      latestVersion.changelogEntry = null;
+      latestVersion.changes = 'Alterações não disponíveis no momento';
+    }
+    
+    console.log(`LEDI scraping bem-sucedido: versão "${latestVersion.version}"`);
+    return latestVersion;
+    
+  } catch (error) {
+    console.error('Erro no scraping da LEDI:', error);
+    throw error;
+  }
+}
+
+// Buscar e estruturar a página "principais alterações" da LEDI.
+// Retorna as entradas por versão ({ version, title, changes, recordTypes }) e o texto normalizado da página.
+async function getLediChangelog() {
+  const response = await fetch(SOURCES.LEDI_CHANGES, {
+    headers: {
+      'User-Agent': 'Mozilla/5.0 (compatible; e-SUS Monitor/1.0)'
+    }
+  });
+  
+  if (!response.ok) {
+    throw new Error(`Erro ao acessar alterações LEDI: ${response.status}`);
+  }
+  
+  const html = await response.text();
+  const entries = [];
+  let currentEntry = null;
+  let headingText = null;
+  const itemStack = [];
+  let lastItemChunk = null;
+  
+  const rewriter = new HTMLRewriter()
+    // Títulos com número de versão abrem uma nova entrada
+    .on('h1, h2, h3, h4', {
+      element(element) {
+        headingText = '';
+        element.onEndTag(() => {
+          const title = headingText.replace(/\s+/g, ' ').trim();
+          const versionMatch = title.match(/\d+(?:\.\d+)+/);
+          
+          if (versionMatch) {
+            currentEntry = { version: versionMatch[0], title, changes: [], recordTypes: [] };
+            entries.push(currentEntry);
+          }
+          
+          headingText = null;
+        });
+      },
+      text(text) {
+        if (headingText !== null) {
+          headingText += text.text;
+        }
+      }
+    })
+    // Itens de lista dentro da seção da versão são as alterações
+    .on('li', {
+      element(element) {
+        // A posição é reservada na abertura para manter a ordem do documento
+        const item = { text: '' };
+        const entry = currentEntry;
+        const index = entry ? entry.changes.push(null) - 1 : -1;
+        itemStack.push(item);
+        
+        element.onEndTag(() => {
+          itemStack.pop();
+          
+          if (entry) {
+            entry.changes[index] = item.text.replace(/\s+/g, ' ').trim();
+          }
+        });
+      },
+      text(text) {
+        // Em listas aninhadas o mesmo trecho chega uma vez por <li>; guardar só no mais interno
+        if (text === lastItemChunk || itemStack.length === 0) {
+          return;
+        }
+        
+        lastItemChunk = text;
+        itemStack[itemStack.length - 1].text += text.text;
+      }
+    });
+  
+  await rewriter.transform(new Response(html)).arrayBuffer();
+  
+  // Tipos Thrift/fichas afetados citados nas alterações
+  for (const entry of entries) {
+    entry.changes = entry.changes.filter(Boolean);
+    const recordTypes = entry.changes.flatMap(change => change.match(/\b[A-Z][A-Za-z0-9]*Thrift\b/g) || []);
+    entry.recordTypes = [...new Set(recordTypes)];
+  }
+  
+  return { entries, text: normalizePageContent(html) };
+}
+
+// Encontrar a entrada do changelog correspondente a uma versão
+function findLediChangelogEntry(entries, version) {
+  return entries.find(entry => compareVersions(entry.version, version) === 0) || null;
+}
+
+// Scraper para a página de download/versões do PEC
+async function getLatestPecVersion() {
+  try {
+    console.log('Fazendo scraping da página de versões do PEC');
+    
+    const response = await fetch(SOURCES.PEC, {
+      headers: {
+        'User-Agent': 'Mozilla/5.0 (compatible; e-SUS Monitor/1.0)',
+        'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8'
+      }
+    });
+    
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    }
+    
+    let pageText = '';
+    const links = [];
+    let currentLink = null;
+    
+    // Usar HTMLRewriter para coletar o texto da página e os links de download
+    const rewriter = new HTMLRewriter()
+      .on('body', {
+        text(text) {
+          pageText += text.text;
+          if (text.lastInTextNode) {
+            pageText += ' ';
+          }
+        }
+      })
+      .on('a[href]', {
+        element(element) {
+          currentLink = { href: element.getAttribute('href'), label: '' };
+          links.push(currentLink);
+        },
+        text(text) {
+          if (currentLink) {
+            currentLink.label += text.text;
+          }
+        }
+      });
+    
+    await rewriter.transform(response).arrayBuffer();
+    
+    pageText = pageText.replace(/\s+/g, ' ');
+    
+    // Links de instaladores (.jar, .exe, .zip etc.)
+    const installers = links
+      .filter(link => /\.(jar|exe|msi|zip|deb|rpm|sh)(\?|#|$)/i.test(link.href))
+      .map(link => ({
+        label: link.label.replace(/\s+/g, ' ').trim() || link.href.split('/').pop(),
+        url: new URL(link.href, SOURCES.PEC).toString()
+      }));
+    
+    // Versões citadas no texto ("Versão 5.3.10") e nos nomes dos instaladores
+    const versions = [
+      ...Array.from(pageText.matchAll(/vers[ãa]o\s*:?\s*v?(\d+\.\d+\.\d+(?:\.\d+)?)/gi), match => match[1]),
+      ...installers.flatMap(installer => installer.url.match(/\d+\.\d+\.\d+(?:\.\d+)?/g) || [])
+    ];
+    
+    if (versions.length === 0) {
+      throw new Error('Não foi possível extrair versão do PEC');
+    }
+    
+    const version = versions.reduce((latest, candidate) => compareVersions(candidate, latest) > 0 ? candidate : latest);
+    
+    // Data de lançamento: primeira data dd/mm/aaaa após a menção à versão
+    const versionIndex = pageText.indexOf(version);
+    const dateMatch = versionIndex >= 0
+      ? pageText.substring(versionIndex, versionIndex + 300).match(/\b(\d{2})\/(\d{2})\/(\d{4})\b/)
+      : null;
+    
+    const latestVersion = {
+      version,
+      releaseDate: dateMatch ? `${dateMatch[3]}-${dateMatch[2]}-${dateMatch[1]}` : null,
+      installers: installers.filter(installer => installer.url.includes(version) || installer.label.includes(version)),
       extractedAt: new Date().toISOString()
     };
     
-    let isFirstRow = true;
+    // Se os nomes dos instaladores não trazem a versão, manter todos os encontrados
+    if (latestVersion.installers.length === 0) {
+      latestVersion.installers = installers;
+    }
+    
+    console.log(`PEC scraping bem-sucedido: versão "${latestVersion.version}"`);
+    return latestVersion;
+    
+  } catch (error) {
+    console.error('Erro no scraping do PEC:', error);
+    throw error;
+  }
+}
+
+// Comparar versões semanticamente (5.3.10 > 5.3.9); retorna -1, 0 ou 1
+function compareVersions(a, b) {
+  const partsA = String(a).replace(/^v/i, '').split('.').map(part => parseInt(part, 10) || 0);
+  const partsB = String(b).replace(/^v/i, '').split('.').map(part => parseInt(part, 10) || 0);
+  const length = Math.max(partsA.length, partsB.length);
+  
+  for (let i = 0; i < length; i++) {
+    const diff = (partsA[i] || 0) - (partsB[i] || 0);
+    if (diff !== 0) {
+      return diff > 0 ? 1 : -1;
+    }
+  }
+  
+  return 0;
+}
+
+// Baixar uma página vigiada e calcular o hash do conteúdo normalizado
+async function fetchWatchedPage(page) {
+  const response = await fetch(page.url, {
+    headers: {
+      'User-Agent': 'Mozilla/5.0 (compatible; e-SUS Monitor/1.0)',
+      'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8'
+    }
+  });
+  
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+  }
+  
+  const html = await response.text();
+  const titleMatch = html.match(/<title[^>]*>([\s\S]*?)<\/title>/i);
+  const text = normalizePageContent(html);
+  
+  return {
+    url: page.url,
+    title: titleMatch ? decodeXmlEntities(titleMatch[1]).replace(/\s+/g, ' ').trim() : page.name,
+    hash: await sha256Hex(text),
+    text,
+    extractedAt: new Date().toISOString()
+  };
+}
+
+// Normalizar HTML em texto: sem scripts/estilos, sem carimbos de data/hora e com
+// espaços colapsados. Mantém uma linha por bloco para permitir comparar por linha.
+function normalizePageContent(html) {
+  const text = html
+    .replace(/<(script|style|noscript|template)\b[\s\S]*?<\/\1>/gi, ' ')
+    .replace(/<!--[\s\S]*?-->/g, ' ')
+    .replace(/<\/?(p|div|li|tr|h[1-6]|br|pre|section|article|table|ul|ol|dt|dd)\b[^>]*>/gi, '\n')
+    .replace(/<[^>]+>/g, ' ');
+  
+  return decodeXmlEntities(text.replace(/&nbsp;/g, ' '))
+    // Carimbos de data/hora (ISO 8601, dd/mm/aaaa hh:mm[:ss] e hh:mm:ss)
+    .replace(/\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}:?\d{2})?/g, '')
+    .replace(/\d{1,2}\/\d{1,2}\/\d{2,4},?\s+(?:às\s+)?\d{1,2}:\d{2}(?::\d{2})?/g, '')
+    .replace(/\b\d{1,2}:\d{2}:\d{2}\b/g, '')
+    .split('\n')
+    .map(line => line.replace(/\s+/g, ' ').trim())
+    // Linhas de "última atualização" mudam sem alterar o conteúdo
+    .filter(line => line && !/^(última atualização|ultima atualizacao|last updated)/i.test(line))
+    .join('\n');
+}
+
+// Notificação de página vigiada alterada, com a diferença em relação ao texto anterior
+function getWatchedPageItem(page, current, stored) {
+  const { text, ...item } = current;
+  
+  return {
+    ...item,
+    name: page.name,
+    previousHash: stored.hash,
+    diffs: diffPages([{ url: stored.url, text: stored.text }], [{ url: current.url, text }])
+  };
+}
+
+// Comparar os textos normalizados de páginas (por URL); retorna só as que mudaram
+function diffPages(previousPages, currentPages) {
+  if (!Array.isArray(previousPages) || !Array.isArray(currentPages)) {
+    return [];
+  }
+  
+  const diffs = [];
+  
+  for (const page of currentPages) {
+    const previous = previousPages.find(candidate => candidate.url === page.url);
+    
+    if (!previous || typeof previous.text !== 'string' || previous.text === page.text) {
+      continue;
+    }
+    
+    diffs.push({ url: page.url, ...diffLines(previous.text, page.text) });
+  }
+  
+  return diffs;
+}
+
+// Diferença por linha (LCS) entre dois textos. Retorna os blocos consecutivos
+// de linhas removidas/adicionadas e a contagem de cada tipo.
+function diffLines(previousText, currentText) {
+  const oldLines = previousText ? previousText.split('\n') : [];
+  const newLines = currentText ? currentText.split('\n') : [];
+  
+  // Ignorar prefixo e sufixo comuns antes de montar a matriz
+  let start = 0;
+  while (start < oldLines.length && start < newLines.length && oldLines[start] === newLines[start]) {
+    start++;
+  }
+  
+  let oldEnd = oldLines.length;
+  let newEnd = newLines.length;
+  while (oldEnd > start && newEnd > start && oldLines[oldEnd - 1] === newLines[newEnd - 1]) {
+    oldEnd--;
+    newEnd--;
+  }
+  
+  const a = oldLines.slice(start, oldEnd);
+  const b = newLines.slice(start, newEnd);
+  const operations = [];
+  
+  if ((a.length + 1) * (b.length + 1) > DIFF_CONFIG.MAX_MATRIX_SIZE) {
+    a.forEach(line => operations.push({ type: 'removed', line }));
+    b.forEach(line => operations.push({ type: 'added', line }));
+  } else {
+    // lengths[i][j] = tamanho da maior subsequência comum de a[i..] e b[j..]
+    const width = b.length + 1;
+    const lengths = new Uint32Array((a.length + 1) * width);
+    
+    for (let i = a.length - 1; i >= 0; i--) {
+      for (let j = b.length - 1; j >= 0; j--) {
+        lengths[i * width + j] = a[i] === b[j]
+          ? lengths[(i + 1) * width + j + 1] + 1
+          : Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1]);
+      }
+    }
+    
+    let i = 0;
+    let j = 0;
+    while (i < a.length || j < b.length) {
+      if (i < a.length && j < b.length && a[i] === b[j]) {
+        operations.push({ type: 'unchanged' });
+        i++;
+        j++;
+      } else if (i < a.length && (j === b.length || lengths[(i + 1) * width + j] >= lengths[i * width + j + 1])) {
+        operations.push({ type: 'removed', line: a[i++] });
+      } else {
+        operations.push({ type: 'added', line: b[j++] });
+      }
+    }
+  }
+  
+  // Agrupar linhas consecutivas do mesmo tipo em blocos
+  const blocks = [];
+  let added = 0;
+  let removed = 0;
+  
+  for (const operation of operations) {
+    if (operation.type === 'unchanged') {
+      blocks.push(null);
+      continue;
+    }
+    
+    if (operation.type === 'added') {
+      added++;
+    } else {
+      removed++;
+    }
+    
+    const last = blocks[blocks.length - 1];
+    if (last && last.type === operation.type) {
+      last.lines.push(operation.line);
+    } else {
+      blocks.push({ type: operation.type, lines: [operation.line] });
+    }
+  }
+  
+  return { added, removed, blocks: blocks.filter(Boolean) };
+}
+
+// Verificar se o hash do conteúdo de uma página vigiada mudou
+function hasPageContentChanged(current, stored) {
+  return !stored || stored.hash !== current.hash;
+}
+
+// Verificar se há post no blog ainda não visto
+function hasNewBlogPost(current, stored) {
+  if (!stored || !stored.link) {
+    return true;
+  }
+  
+  const seenLinks = getSeenBlogLinks(current, stored);
+  return current.posts.some(post => !seenLinks.has(post.link));
+}
+
+// Obter conjunto de links de posts já vistos
+function getSeenBlogLinks(current, stored) {
+  if (Array.isArray(stored.seenLinks)) {
+    return new Set(stored.seenLinks);
+  }
+  
+  // Estado antigo guardava só o último post: ele e os anteriores a ele contam como vistos
+  const links = current.posts.map(post => post.link);
+  const storedIndex = links.indexOf(stored.link);
+  return new Set(storedIndex >= 0 ? links.slice(storedIndex) : links);
+}
+
+// Posts ainda não vistos, do mais antigo para o mais recente.
+// Na primeira execução (sem estado) apenas registra os posts, sem notificar.
+function getNewBlogPosts(current, stored) {
+  if (!stored || !stored.link) {
+    return [];
+  }
+  
+  const seenLinks = getSeenBlogLinks(current, stored);
+  return current.posts.filter(post => !seenLinks.has(post.link)).reverse();
+}
+
+// Estado do blog a armazenar: último post e conjunto de links já vistos
+function buildBlogState(current, stored) {
+  const seenLinks = stored && stored.link ? getSeenBlogLinks(current, stored) : new Set();
+  const links = [...current.posts.map(post => post.link), ...seenLinks];
+  
+  return {
+    title: current.title,
+    link: current.link,
+    extractedAt: current.extractedAt,
+    seenLinks: [...new Set(links)].slice(0, BLOG_SEEN_LINKS_LIMIT)
+  };
+}
+
+// Reset administrativo do blog: o post mais recente volta a contar como não visto.
+// Apagar o estado não serviria, pois a primeira execução só registra os posts.
+function resetBlogState(stored) {
+  if (!Array.isArray(stored.seenLinks) || stored.seenLinks.length === 0) {
+    return null;
+  }
+  
+  return {
+    ...stored,
+    seenLinks: stored.seenLinks.filter(link => link !== stored.link)
+  };
+}
+
+// Verificar se há nova versão da LEDI
+function hasNewLediVersion(current, stored) {
+  if (!stored || !stored.version) {
+    return true;
+  }
+  
+  return current.version !== stored.version;
+}
+
+// Verificar se há versão do PEC mais recente que a armazenada
+function hasNewPecVersion(current, stored) {
+  if (!stored || !stored.version) {
+    return true;
+  }
+  
+  return compareVersions(current.version, stored.version) > 0;
+}
+
+// Versão a notificar: nenhuma na primeira leitura (sem estado), que apenas registra a atual
+function getNewPecItems(current, stored) {
+  return stored ? [current] : [];
+}
+
+// Calcular SHA-256 de um texto em hexadecimal
+async function sha256Hex(text) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+  return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+// Gerar chave KV do inscrito a partir do hash do e-mail
+async function getSubscriberKey(email) {
+  return `${KV_KEYS.SUBSCRIBER_PREFIX}${await sha256Hex(email)}`;
+}
+
+// Criar registro de inscrito com os valores padrão
+function createSubscriberRecord(email) {
+  return {
+    email,
+    status: 'pending',
+    createdAt: new Date().toISOString(),
+    confirmedAt: null,
+    preferences: {},
+    lastSentAt: null
+  };
+}
+
+// Obter registro de um inscrito
+async function getSubscriber(env, email) {
+  try {
+    const subscriberJson = await env.ESUS_MONITOR_KV.get(await getSubscriberKey(email));
+    return subscriberJson ? JSON.parse(subscriberJson) : null;
+  } catch (error) {
+    console.error('Erro ao obter inscrito:', error);
+    return null;
+  }
+}
+
+// Armazenar registro de um inscrito (status e expiração vão nos metadados para listagem)
+async function storeSubscriber(env, subscriber) {
+  try {
+    await env.ESUS_MONITOR_KV.put(await getSubscriberKey(subscriber.email), JSON.stringify(subscriber), {
+      metadata: {
+        status: subscriber.status,
+        expiresAt: subscriber.expiresAt || null
+      }
+    });
+    return true;
+  } catch (error) {
+    console.error('Erro ao armazenar inscrito:', error);
+    return false;
+  }
+}
+
+// Remover registro de um inscrito; retorna true se ele existia
+async function deleteSubscriber(env, email) {
+  try {
+    const key = await getSubscriberKey(email);
+    const existing = await env.ESUS_MONITOR_KV.get(key);
+    if (!existing) {
+      return false;
+    }
+    
+    await env.ESUS_MONITOR_KV.delete(key);
+    return true;
+  } catch (error) {
+    console.error('Erro ao remover inscrito:', error);
+    return false;
+  }
+}
+
+// Obter chat do Telegram inscrito
+async function getTelegramSubscriber(env, chatId) {
+  try {
+    const subscriberJson = await env.ESUS_MONITOR_KV.get(`${KV_KEYS.TELEGRAM_PREFIX}${chatId}`);
+    return subscriberJson ? JSON.parse(subscriberJson) : null;
+  } catch (error) {
+    console.error(`Erro ao obter chat do Telegram ${chatId}:`, error);
+    return null;
+  }
+}
+
+// Gravar chat do Telegram inscrito (status também nos metadados, como nos e-mails)
+async function storeTelegramSubscriber(env, subscriber) {
+  await env.ESUS_MONITOR_KV.put(`${KV_KEYS.TELEGRAM_PREFIX}${subscriber.chatId}`, JSON.stringify(subscriber), {
+    metadata: { status: subscriber.status }
+  });
+}
+
+// Listar chaves de inscritos, página a página, usando os metadados do KV
+async function listSubscriberKeys(env, { cursor, limit = 1000, status } = {}) {
+  const options = { prefix: KV_KEYS.SUBSCRIBER_PREFIX, limit };
+  if (cursor) {
+    options.cursor = cursor;
+  }
+  
+  const page = await env.ESUS_MONITOR_KV.list(options);
+  
+  const keys = status
+    ? page.keys.filter(key => key.metadata && key.metadata.status === status)
+    : page.keys;
+  
+  return {
+    keys,
+    cursor: page.list_complete ? null : page.cursor,
+    complete: page.list_complete
+  };
+}
+
+// Listar inscritos com paginação (cursor do KV)
+async function listSubscribers(env, { cursor, limit = 100, status } = {}) {
+  const page = await listSubscriberKeys(env, { cursor, limit, status });
+  
+  const subscribers = await Promise.all(
+    page.keys.map(async key => {
+      const subscriberJson = await env.ESUS_MONITOR_KV.get(key.name);
+      return subscriberJson ? JSON.parse(subscriberJson) : null;
+    })
+  );
+  
+  return {
+    subscribers: subscribers.filter(Boolean),
+    cursor: page.cursor,
+    complete: page.complete
+  };
+}
+
+// Migrar lista legada (subscriber_emails/pending_subscriptions) para registros individuais.
+// As chaves legadas só são apagadas se todos os registros forem gravados; senão, a próxima
+// execução tenta de novo (quem já foi migrado é ignorado).
+async function migrateLegacySubscribers(env) {
+  const [emailsJson, pendingJson] = await Promise.all([
+    env.ESUS_MONITOR_KV.get(KV_KEYS.EMAILS),
+    env.ESUS_MONITOR_KV.get(KV_KEYS.PENDING_SUBSCRIPTIONS)
+  ]);
+  
+  if (!emailsJson && !pendingJson) {
+    return 0;
+  }
+  
+  const legacyEmails = emailsJson ? JSON.parse(emailsJson) : [];
+  const legacyPending = pendingJson ? JSON.parse(pendingJson) : {};
+  let migrated = 0;
+  let failed = 0;
+  
+  for (const email of legacyEmails) {
+    const existing = await getSubscriber(env, email);
+    if (!existing || existing.status !== 'active') {
+      const stored = await storeSubscriber(env, {
+        ...createSubscriberRecord(email),
+        status: 'active',
+        confirmedAt: new Date().toISOString()
+      });
+      if (stored) {
+        migrated++;
+      } else {
+        failed++;
+      }
+    }
+  }
+  
+  for (const [email, pending] of Object.entries(legacyPending)) {
+    if (!legacyEmails.includes(email) && !(await getSubscriber(env, email))) {
+      const stored = await storeSubscriber(env, {
+        ...createSubscriberRecord(email),
+        createdAt: pending.requestedAt || new Date().toISOString(),
+        expiresAt: pending.expiresAt
+      });
+      if (stored) {
+        migrated++;
+      } else {
+        failed++;
+      }
+    }
+  }
+  
+  if (failed > 0) {
+    console.error(`Migração incompleta: ${failed} inscrito(s) não gravado(s); lista legada mantida`);
+    return migrated;
+  }
+  
+  await env.ESUS_MONITOR_KV.delete(KV_KEYS.EMAILS);
+  await env.ESUS_MONITOR_KV.delete(KV_KEYS.PENDING_SUBSCRIPTIONS);
+  
+  return migrated;
+}
+
+// Remover inscrições pendentes cujo link de confirmação expirou
+async function cleanupExpiredPendingSubscriptions(env) {
+  const now = Date.now();
+  let removed = 0;
+  let cursor = null;
+  
+  do {
+    const page = await listSubscriberKeys(env, { cursor, status: 'pending' });
+    
+    for (const key of page.keys) {
+      const expiresAt = key.metadata.expiresAt;
+      if (!expiresAt || new Date(expiresAt).getTime() <= now) {
+        await env.ESUS_MONITOR_KV.delete(key.name);
+        removed++;
+      }
+    }
+    
+    cursor = page.cursor;
+  } while (cursor);
+  
+  return removed;
+}
+
+// Obter último estado armazenado de uma fonte
+async function getSourceState(env, source) {
+  try {
+    const stateJson = await env.ESUS_MONITOR_KV.get(source.stateKey);
+    return stateJson ? JSON.parse(stateJson) : null;
+  } catch (error) {
+    console.error(`Erro ao obter estado da fonte ${source.id}:`, error);
+    return null;
+  }
+}
+
+// Armazenar último estado de uma fonte
+async function storeSourceState(env, source, state) {
+  try {
+    await env.ESUS_MONITOR_KV.put(source.stateKey, JSON.stringify(state));
+    return true;
+  } catch (error) {
+    console.error(`Erro ao armazenar estado da fonte ${source.id}:`, error);
+    return false;
+  }
+}
+
+// Enviar notificações por Telegram, webhooks e e-mail (fila), atualizando `status`.
+// Sem `historyKeys` as detecções são registradas no histórico; uma chave `null` (reenvio)
+// não grava histórico nem os contadores de entrega.
+async function dispatchNotifications(env, notifications, status, historyKeys = null) {
+  try {
+    const telegram = await sendTelegramNotifications(env, notifications);
+    console.log(`Mensagens do Telegram enviadas: ${telegram.sent}, com falha: ${telegram.failed}`);
+    
+    if (telegram.failed > 0) {
+      status.telegramStatus = telegram.sent > 0 ? 'warning' : 'error';
+    }
+  } catch (error) {
+    console.error('Erro ao enviar mensagens do Telegram:', error);
+    status.telegramStatus = 'error';
+    await storeErrorLog(env, 'telegram', error);
+  }
+  
+  try {
+    const delivery = await sendWebhookNotifications(env, notifications);
+    console.log(`Webhooks entregues: ${delivery.delivered}, com falha: ${delivery.failed}`);
+    
+    if (delivery.failed > 0) {
+      status.webhookStatus = delivery.delivered > 0 ? 'warning' : 'error';
+    }
+  } catch (error) {
+    console.error('Erro ao enviar webhooks:', error);
+    status.webhookStatus = 'error';
+    await storeErrorLog(env, 'webhooks', error);
+  }
+  
+  // Registrar as detecções no histórico; o resultado dos e-mails é atualizado ao fim da fila
+  notifications.forEach(notification => {
+    notification.queued = true;
+  });
+  const keys = historyKeys || await storeHistoryEntries(env, notifications, status.lastCheck);
+  
+  try {
+    const queue = await sendNotificationEmails(env, notifications, keys);
+    console.log(`E-mails enviados nesta execução: ${queue.sent}, pendentes: ${queue.pending}`);
+    
+    if (queue.error) {
+      status.emailStatus = 'error';
+    } else if (queue.sent === 0 && queue.pending === 0) {
+      status.emailStatus = 'warning';
+    }
+  } catch (error) {
+    console.error('Erro ao enfileirar notificações:', error);
+    status.emailStatus = 'error';
+    await storeErrorLog(env, 'email', error);
+  }
+}
+
+// Registrar erro para o painel de administração (expira em ERROR_LOG_DAYS)
+async function storeErrorLog(env, context, error) {
+  try {
+    const at = new Date();
+    const inverted = String(9999999999999 - at.getTime()).padStart(13, '0');
+    
+    await env.ESUS_MONITOR_KV.put(
+      `${KV_KEYS.ERROR_LOG_PREFIX}${inverted}:${crypto.randomUUID()}`,
+      JSON.stringify({ at: at.toISOString(), context, message: error && error.message ? error.message : String(error) }),
+      { expirationTtl: ADMIN_CONFIG.ERROR_LOG_DAYS * 24 * 60 * 60 }
+    );
+  } catch (logError) {
+    console.error('Erro ao registrar erro no log:', logError);
+  }
+}
+
+// Remover o changelog completo do estado/notificação da LEDI (fica em chave própria)
+function withoutLediChangelog(version) {
+  const { changelog, ...rest } = version;
+  return rest;
+}
+
+// Notificação de nova versão da LEDI com as diferenças das páginas desde a versão anterior
+function getNewLediItems(current, stored) {
+  const { pages, ...version } = withoutLediChangelog(current);
+  return [{ ...version, diffs: diffPages(stored && stored.pages, pages) }];
+}
+
+// Obter changelog estruturado da LEDI armazenado
+async function getStoredLediChangelog(env) {
+  try {
+    const changelogJson = await env.ESUS_MONITOR_KV.get(KV_KEYS.LEDI_CHANGELOG);
+    return changelogJson ? JSON.parse(changelogJson) : { updatedAt: null, entries: [] };
+  } catch (error) {
+    console.error('Erro ao obter changelog da LEDI:', error);
+    return { updatedAt: null, entries: [] };
+  }
+}
+
+// Mesclar o changelog estruturado da LEDI no KV, preservando versões antigas
+async function storeLediChangelog(env, current) {
+  if (!current.changelog || current.changelog.length === 0) {
+    return false;
+  }
+  
+  try {
+    const stored = await getStoredLediChangelog(env);
+    const entriesByVersion = new Map(stored.entries.map(entry => [entry.version, entry]));
+    
+    for (const entry of current.changelog) {
+      entriesByVersion.set(entry.version, entry);
+    }
+    
+    const entries = Array.from(entriesByVersion.values())
+      .sort((a, b) => compareVersions(b.version, a.version));
+    
+    await env.ESUS_MONITOR_KV.put(KV_KEYS.LEDI_CHANGELOG, JSON.stringify({
+      updatedAt: current.extractedAt,
+      entries
+    }));
+    return true;
+  } catch (error) {
+    console.error('Erro ao armazenar changelog da LEDI:', error);
+    return false;
+  }
+}
+
+// Armazenar as diferenças de uma notificação; retorna o id (chave sem prefixo) ou null
+async function storeDiff(env, source, item) {
+  const detectedAt = item.extractedAt || new Date().toISOString();
+  const id = `${source.id}:${detectedAt}`;
+  
+  try {
+    await env.ESUS_MONITOR_KV.put(
+      `${KV_KEYS.DIFF_PREFIX}${id}`,
+      JSON.stringify({ id, source: source.id, detectedAt, diffs: item.diffs }),
+      { expirationTtl: DIFF_CONFIG.RETENTION_DAYS * 24 * 60 * 60 }
+    );
+    return id;
+  } catch (error) {
+    console.error(`Erro ao armazenar diferenças da fonte ${source.id}:`, error);
+    return null;
+  }
+}
+
+// Dados de uma entrada do histórico para reenvio ou resumo: o payload com as diferenças
+// recuperadas de `diff:` (o histórico guarda só a referência)
+async function getHistoryNotificationData(env, entry) {
+  const data = { ...entry.payload };
+  
+  if (data.diffId) {
+    try {
+      const diffJson = await env.ESUS_MONITOR_KV.get(`${KV_KEYS.DIFF_PREFIX}${data.diffId}`);
+      if (diffJson) {
+        data.diffs = JSON.parse(diffJson).diffs;
+      }
+    } catch (error) {
+      console.error(`Erro ao ler diferenças ${data.diffId}:`, error);
+    }
+  }
+  
+  return data;
+}
+
+// Chave de histórico: data invertida para que `list` devolva as detecções mais recentes primeiro
+function getHistoryKey(detectedAt, source, sequence) {
+  const inverted = String(9999999999999 - new Date(detectedAt).getTime()).padStart(13, '0');
+  return `${KV_KEYS.HISTORY_PREFIX}${inverted}:${source}:${String(sequence).padStart(4, '0')}`;
+}
+
+// Resultado do envio de uma notificação, a partir dos contadores do envio
+function getNotificationOutcome(notification) {
+  if (notification.queued) {
+    return 'queued';
+  }
+  
+  const sent = notification.sent || 0;
+  const failed = notification.failed || 0;
+  
+  if (sent === 0 && failed === 0) {
+    return 'no_recipients';
+  }
+  
+  if (failed === 0) {
+    return 'sent';
+  }
+  
+  return sent > 0 ? 'partial' : 'failed';
+}
+
+// Registrar as detecções de uma verificação no histórico; retorna as chaves (null se falhou)
+async function storeHistoryEntries(env, notifications, detectedAt) {
+  const keys = [];
+  
+  for (const [index, notification] of notifications.entries()) {
+    // As diferenças completas ficam em `diff:` (referenciadas por diffId)
+    const { diffs, ...payload } = notification.data;
+    const entry = {
+      id: getHistoryKey(detectedAt, notification.type, index).substring(KV_KEYS.HISTORY_PREFIX.length),
+      source: notification.type,
+      detectedAt,
+      payload,
+      notification: {
+        status: getNotificationOutcome(notification),
+        emailsSent: notification.sent || 0,
+        emailsFailed: notification.failed || 0,
+        telegramSent: notification.telegramSent || 0,
+        webhooksDelivered: notification.webhooksDelivered || 0,
+        webhooksFailed: notification.webhooksFailed || 0
+      }
+    };
+    
+    try {
+      const key = getHistoryKey(detectedAt, notification.type, index);
+      await env.ESUS_MONITOR_KV.put(key, JSON.stringify(entry), {
+        metadata: { source: entry.source, detectedAt }
+      });
+      keys.push(key);
+    } catch (error) {
+      console.error(`Erro ao registrar histórico da fonte ${notification.type}:`, error);
+      keys.push(null);
+    }
+  }
+  
+  return keys;
+}
+
+// Atualizar o resultado dos e-mails de uma entrada do histórico
+async function updateHistoryEmailOutcome(env, key, counts) {
+  try {
+    const entryJson = await env.ESUS_MONITOR_KV.get(key);
+    if (!entryJson) {
+      return false;
+    }
+    
+    const entry = JSON.parse(entryJson);
+    entry.notification = {
+      ...entry.notification,
+      status: getNotificationOutcome(counts),
+      emailsSent: counts.sent,
+      emailsFailed: counts.failed
+    };
+    
+    await env.ESUS_MONITOR_KV.put(key, JSON.stringify(entry), {
+      metadata: { source: entry.source, detectedAt: entry.detectedAt }
+    });
+    return true;
+  } catch (error) {
+    console.error(`Erro ao atualizar histórico ${key}:`, error);
+    return false;
+  }
+}
+
+// Listar histórico filtrando por fonte e período (metadados das chaves).
+// O cursor combina o cursor do KV com a posição dentro da página, para não pular itens.
+async function listHistory(env, { source, from, to, limit, cursor }) {
+  let position = { kvCursor: null, offset: 0 };
+  if (cursor) {
+    try {
+      position = JSON.parse(new TextDecoder().decode(base64UrlDecode(cursor)));
+    } catch (error) {
+      console.warn('Cursor de histórico inválido, reiniciando do início:', error.message);
+    }
+  }
+  
+  const keys = [];
+  let nextPosition = null;
+  let kvCursor = position.kvCursor;
+  let offset = position.offset;
+  
+  while (true) {
+    const options = { prefix: KV_KEYS.HISTORY_PREFIX, limit: 1000 };
+    if (kvCursor) {
+      options.cursor = kvCursor;
+    }
+    
+    const page = await env.ESUS_MONITOR_KV.list(options);
+    let finished = false;
+    
+    for (let i = offset; i < page.keys.length; i++) {
+      const metadata = page.keys[i].metadata || {};
+      
+      // Ordem decrescente: ao passar do início do período, não há mais itens
+      if (from && metadata.detectedAt < from) {
+        finished = true;
+        break;
+      }
+      
+      if ((source && metadata.source !== source) || (to && metadata.detectedAt > to)) {
+        continue;
+      }
+      
+      keys.push(page.keys[i].name);
+      
+      if (keys.length === limit) {
+        if (i + 1 < page.keys.length) {
+          nextPosition = { kvCursor, offset: i + 1 };
+        } else if (!page.list_complete) {
+          nextPosition = { kvCursor: page.cursor, offset: 0 };
+        }
+        finished = true;
+        break;
+      }
+    }
+    
+    if (finished || page.list_complete) {
+      break;
+    }
+    
+    kvCursor = page.cursor;
+    offset = 0;
+  }
+  
+  const items = [];
+  for (const key of keys) {
+    const entryJson = await env.ESUS_MONITOR_KV.get(key);
+    if (entryJson) {
+      items.push(JSON.parse(entryJson));
+    }
+  }
+  
+  return {
+    items,
+    cursor: nextPosition ? base64UrlEncode(JSON.stringify(nextPosition)) : null
+  };
+}
+
+// Criar objeto de status com um campo `<id>Status` por fonte registrada
+function createSystemStatus(lastCheck, value) {
+  const status = { lastCheck };
+  
+  for (const source of getSources()) {
+    status[`${source.id}Status`] = value;
+  }
+  
+  status.emailStatus = value;
+  return status;
+}
+
+// Obter status do sistema
+async function getSystemStatus(env) {
+  try {
+    const statusJson = await env.ESUS_MONITOR_KV.get(KV_KEYS.SYSTEM_STATUS);
+    if (!statusJson) {
+      return createSystemStatus(null, 'unknown');
+    }
+    
+    return JSON.parse(statusJson);
+  } catch (error) {
+    console.error('Erro ao obter status do sistema:', error);
+    return createSystemStatus(null, 'error');
+  }
+}
+
+// Armazenar status do sistema
+async function storeSystemStatus(env, status) {
+  try {
+    await env.ESUS_MONITOR_KV.put(KV_KEYS.SYSTEM_STATUS, JSON.stringify(status));
+    return true;
+  } catch (error) {
+    console.error('Erro ao armazenar status do sistema:', error);
+    return false;
+  }
+}
+
+// Validar formato de e-mail
+function isValidEmail(email) {
+  if (!email || typeof email !== 'string') {
+    return false;
+  }
+  
+  const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+  return emailRegex.test(email.trim());
+}
+
+// Normalizar e-mail (lowercase e trim)
+function normalizeEmail(email) {
+  return email.toLowerCase().trim();
+}
+
+// Validar lista de tópicos; retorna os tópicos conhecidos sem repetição ou null se nenhum
+function normalizeTopics(topics) {
+  if (!Array.isArray(topics)) {
+    return null;
+  }
+  
+  const valid = [...new Set(topics)].filter(topic => SOURCE_REGISTRY.has(topic));
+  return valid.length > 0 ? valid : null;
+}
+
+// Obter tópicos de um inscrito (inscritos antigos recebem todos)
+function getSubscriberTopics(subscriber) {
+  const topics = subscriber.preferences && subscriber.preferences.topics;
+  return Array.isArray(topics) ? topics : getSourceIds();
+}
+
+// Obter modo de entrega de um inscrito (padrão: um e-mail por atualização)
+function getSubscriberDelivery(subscriber) {
+  const delivery = subscriber.preferences && subscriber.preferences.delivery;
+  return DELIVERY_MODES[delivery] ? delivery : 'immediate';
+}
+
+// Obter URL pública do worker (usada nos links enviados por e-mail)
+function getBaseUrl(env, request) {
+  if (env.PUBLIC_URL) {
+    return env.PUBLIC_URL.replace(/\/+$/, '');
+  }
+  
+  if (!request) {
+    throw new Error('PUBLIC_URL não configurada');
+  }
+  
+  return new URL(request.url).origin;
+}
+
+// Gerar links de cancelamento e de preferências para um e-mail
+async function buildSubscriberLinks(env, email, baseUrl) {
+  const unsubscribeToken = await createSignedToken(env, { purpose: 'unsubscribe', email });
+  const preferencesToken = await createSignedToken(env, { purpose: 'preferences', email });
+  
+  return {
+    unsubscribeUrl: `${baseUrl}/unsubscribe?token=${encodeURIComponent(unsubscribeToken)}`,
+    preferencesUrl: `${baseUrl}/preferences?token=${encodeURIComponent(preferencesToken)}`
+  };
+}
+
+// Codificar texto ou bytes em base64url
+function base64UrlEncode(input) {
+  const bytes = typeof input === 'string' ? new TextEncoder().encode(input) : new Uint8Array(input);
+  let binary = '';
+  for (const byte of bytes) {
+    binary += String.fromCharCode(byte);
+  }
+  
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+// Decodificar base64url em bytes
+function base64UrlDecode(value) {
+  const base64 = value.replace(/-/g, '+').replace(/_/g, '/');
+  const binary = atob(base64 + '='.repeat((4 - base64.length % 4) % 4));
+  return Uint8Array.from(binary, char => char.charCodeAt(0));
+}
+
+// Importar chave HMAC usada para assinar tokens
+async function getTokenKey(env) {
+  if (!env.TOKEN_SECRET) {
+    throw new Error('TOKEN_SECRET não configurado');
+  }
+  
+  return await crypto.subtle.importKey(
+    'raw',
+    new TextEncoder().encode(env.TOKEN_SECRET),
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    ['sign', 'verify']
+  );
+}
+
+// Gerar token assinado (payload em base64url + assinatura HMAC-SHA256)
+async function createSignedToken(env, payload) {
+  const body = base64UrlEncode(JSON.stringify(payload));
+  const key = await getTokenKey(env);
+  const signature = await crypto.subtle.sign('HMAC', key, new TextEncoder().encode(body));
+  
+  return `${body}.${base64UrlEncode(signature)}`;
+}
+
+// Validar token assinado; retorna o payload ou null se inválido/expirado
+async function verifySignedToken(env, token, purpose) {
+  try {
+    const [body, signature] = token.split('.');
+    if (!body || !signature) {
+      return null;
+    }
+    
+    const key = await getTokenKey(env);
+    const valid = await crypto.subtle.verify(
+      'HMAC',
+      key,
+      base64UrlDecode(signature),
+      new TextEncoder().encode(body)
+    );
+    if (!valid) {
+      return null;
+    }
+    
+    const payload = JSON.parse(new TextDecoder().decode(base64UrlDecode(body)));
+    if (payload.purpose !== purpose) {
+      return null;
+    }
+    
+    if (payload.exp && Date.now() > payload.exp) {
+      return null;
+    }
+    
+    return payload;
+    
+  } catch (error) {
+    console.error('Erro ao validar token:', error);
+    return null;
+  }
+}
+
+// Registrar uma fonte monitorada
+function registerSource(source) {
+  const requiredFields = ['id', 'name', 'url', 'stateKey', 'fetchLatest', 'hasChanged', 'renderEmail', 'renderSummary'];
+  
+  for (const field of requiredFields) {
+    if (!source[field]) {
+      throw new Error(`Fonte inválida (${source.id || 'sem id'}): campo obrigatório ausente: ${field}`);
+    }
+  }
+  
+  if (SOURCE_REGISTRY.has(source.id)) {
+    throw new Error(`Fonte já registrada: ${source.id}`);
+  }
+  
+  SOURCE_REGISTRY.set(source.id, { icon: '🔔', description: '', ...source });
+}
+
+// Obter fonte registrada pelo id
+function getSource(id) {
+  return SOURCE_REGISTRY.get(id);
+}
+
+// Listar fontes registradas
+function getSources() {
+  return Array.from(SOURCE_REGISTRY.values());
+}
+
+// Listar ids das fontes registradas
+function getSourceIds() {
+  return Array.from(SOURCE_REGISTRY.keys());
+}
+
+// Registrar uma página vigiada por hash de conteúdo. O estado (hash e texto
+// normalizado) fica em `watch:<url>`; a primeira leitura só registra o hash.
+function registerWatchedPage(page) {
+  registerSource({
+    icon: '👀',
+    description: 'Alterações no conteúdo da página',
+    ...page,
+    stateKey: `${KV_KEYS.WATCH_PREFIX}${page.url}`,
+    fetchLatest: () => fetchWatchedPage(page),
+    hasChanged: hasPageContentChanged,
+    getNewItems: (current, stored) => stored ? [getWatchedPageItem(page, current, stored)] : [],
+    // Sem estado a primeira leitura não notifica; limpar só o hash mantém o texto para o diff
+    resetState: stored => ({ ...stored, hash: null }),
+    renderEmail: renderWatchedPageEmail,
+    renderSummary: renderWatchedPageSummary
+  });
+}
+
+// Verificar atualizações em todas as fontes registradas
+// Com `dryRun`, as fontes são lidas e comparadas com o estado armazenado, mas nada é
+// gravado no KV (estado, diferenças, erros, status) e nenhuma notificação é enviada.
+async function checkForUpdates(env, { dryRun = false } = {}) {
+  const status = createSystemStatus(new Date().toISOString(), 'ok');
+  
+  let hasUpdates = false;
+  let notifications = [];
+  // Resultado da detecção por fonte: unchanged, initial, changed ou error
+  const sources = [];
+  
+  try {
+    for (const source of getSources()) {
+      console.log(`Verificando atualizações: ${source.name}...`);
+      
+      const detection = { source: source.id, name: source.name, result: 'unchanged', newItems: 0 };
+      sources.push(detection);
+      
+      try {
+        const current = await source.fetchLatest(env);
+        const stored = await getSourceState(env, source);
+        
+        // Registrar por qual caminho a fonte foi lida (ex.: feed ou HTML)
+        if (current.fetchMethod) {
+          status[`${source.id}FetchMethod`] = current.fetchMethod;
+          detection.fetchMethod = current.fetchMethod;
+        }
+        
+        // Na simulação, devolver o que foi extraído e o estado usado na comparação
+        if (dryRun) {
+          detection.current = current;
+          detection.stored = stored;
+        }
+        
+        if (source.persist && !dryRun) {
+          await source.persist(env, current);
+        }
+        
+        if (source.hasChanged(current, stored)) {
+          const items = source.getNewItems ? source.getNewItems(current, stored) : [current];
+          
+          if (!dryRun) {
+            const state = source.buildState ? source.buildState(current, stored) : current;
+            await storeSourceState(env, source, state);
+            
+            // Guardar as diferenças textuais para consulta posterior
+            for (const item of items) {
+              if (item.diffs && item.diffs.length > 0) {
+                item.diffId = await storeDiff(env, source, item);
+              }
+            }
+          }
+          
+          if (items.length === 0) {
+            console.log(`Estado inicial ${dryRun ? 'seria registrado' : 'registrado'} para ${source.name}`);
+            detection.result = 'initial';
+          } else {
+            console.log(`${items.length} atualização(ões) detectada(s) em ${source.name}`);
+            detection.result = 'changed';
+            detection.newItems = items.length;
+            hasUpdates = true;
+          }
+          
+          for (const item of items) {
+            notifications.push({
+              type: source.id,
+              data: item
+            });
+          }
+        } else {
+          console.log(`Nenhuma atualização em ${source.name}`);
+        }
+        
+      } catch (error) {
+        console.error(`Erro ao verificar ${source.name}:`, error);
+        status[`${source.id}Status`] = 'error';
+        detection.result = 'error';
+        detection.error = error.message;
+        
+        if (!dryRun) {
+          await storeErrorLog(env, source.id, error);
+        }
+      }
+    }
+    
+    // Se há atualizações, enviar notificações por e-mail
+    if (hasUpdates && notifications.length > 0) {
+      console.log(`${notifications.length} atualização(ões) detectada(s)`);
+      
+      if (dryRun) {
+        console.log('Simulação: nenhuma notificação enviada');
+      } else {
+        await dispatchNotifications(env, notifications, status);
+      }
+    }
+    
+  } catch (error) {
+    console.error('Erro geral na verificação de atualizações:', error);
+    status.emailStatus = 'error';
+    
+    if (!dryRun) {
+      await storeErrorLog(env, 'check', error);
+    }
+  }
+  
+  // Atualizar status do sistema
+  if (!dryRun) {
+    await storeSystemStatus(env, status);
+  }
+  
+  return {
+    dryRun,
+    hasUpdates,
+    notifications,
+    sources,
+    status
+  };
+}
+
+// Função para obter dados das últimas atualizações (para e-mail de confirmação)
+async function getLatestUpdatesData(env) {
+  const latestUpdates = {};
+  
+  for (const source of getSources()) {
+    latestUpdates[source.id] = await getSourceState(env, source);
+  }
+  
+  return latestUpdates;
+}
+
+// Função para contar número de inscritos (ativos, por padrão)
+async function getSubscriberCount(env, status = 'active') {
+  try {
+    let count = 0;
+    let cursor = null;
+    
+    // Conta apenas chaves e metadados, sem carregar os registros
+    do {
+      const page = await listSubscriberKeys(env, { cursor, status });
+      count += page.keys.length;
+      cursor = page.cursor;
+    } while (cursor);
+    
+    return count;
+  } catch (error) {
+    console.error('Erro ao contar inscritos:', error);
+    return 0;
+  }
+}
+
+// Enviar e-mail pelo provedor configurado em EMAIL_PROVIDER (padrão: mailchannels).
+// O remetente vem de FROM_EMAIL/FROM_NAME.
+async function sendEmail(env, to, subject, htmlContent, options = {}) {
+  try {
+    const providerName = env.EMAIL_PROVIDER || EMAIL_CONFIG.DEFAULT_PROVIDER;
+    const provider = EMAIL_PROVIDERS[providerName];
+    
+    if (!provider) {
+      throw new Error(`Provedor de e-mail desconhecido: ${providerName}`);
+    }
+    
+    const message = {
+      from: {
+        email: env.FROM_EMAIL || EMAIL_CONFIG.DEFAULT_FROM_EMAIL,
+        name: env.FROM_NAME || EMAIL_CONFIG.DEFAULT_FROM_NAME
+      },
+      to,
+      subject,
+      html: htmlContent,
+      // Parte text/plain alternativa (multipart/alternative nos provedores)
+      text: options.text || null,
+      headers: {}
+    };
+    
+    // Cabeçalhos de cancelamento em um clique (RFC 2369 / RFC 8058)
+    if (options.unsubscribeUrl) {
+      message.headers['List-Unsubscribe'] = `<${options.unsubscribeUrl}>`;
+      message.headers['List-Unsubscribe-Post'] = 'List-Unsubscribe=One-Click';
+    }
+    
+    const result = await provider.send(env, message);
+    
+    if (!result.ok) {
+      console.error(`Erro no provedor ${providerName} (${result.status}):`, result.error);
+      return false;
+    }
+    
+    return true;
+    
+  } catch (error) {
+    console.error('Erro ao enviar e-mail:', error);
+    return false;
+  }
+}
+
+// Resultado padrão de um provedor a partir da resposta HTTP
+async function getProviderResult(response) {
+  if (response.ok) {
+    return { ok: true, status: response.status, error: null };
+  }
+  
+  return { ok: false, status: response.status, error: await response.text() };
+}
+
+// Remetente no formato "Nome <email>"
+function formatAddress(address) {
+  return address.name ? `${address.name} <${address.email}>` : address.email;
+}
+
+// MailChannels Email API (MAILCHANNELS_API_KEY)
+async function sendWithMailChannels(env, message) {
+  const personalization = {
+    to: [{ email: message.to }]
+  };
+  
+  const dkim = getDkimConfig(env);
+  if (dkim) {
+    personalization.dkim_domain = dkim.domain;
+    personalization.dkim_selector = dkim.selector;
+    personalization.dkim_private_key = dkim.privateKey;
+  }
+  
+  const payload = {
+    personalizations: [personalization],
+    from: message.from,
+    subject: message.subject,
+    // A MailChannels exige text/plain antes de text/html
+    content: [
+      message.text && {
+        type: 'text/plain',
+        value: message.text
+      },
+      {
+        type: 'text/html',
+        value: message.html
+      }
+    ].filter(Boolean)
+  };
+  
+  if (Object.keys(message.headers).length > 0) {
+    payload.headers = message.headers;
+  }
+  
+  const headers = { 'Content-Type': 'application/json' };
+  if (env.MAILCHANNELS_API_KEY) {
+    headers['X-Api-Key'] = env.MAILCHANNELS_API_KEY;
+  }
+  
+  const response = await fetch('https://api.mailchannels.net/tx/v1/send', {
+    method: 'POST',
+    headers,
+    body: JSON.stringify(payload)
+  });
+  
+  return await getProviderResult(response);
+}
+
+// Configuração DKIM (DKIM_DOMAIN, DKIM_SELECTOR, DKIM_PRIVATE_KEY) ou null se incompleta.
+// A chave é aceita em PEM ou só em base64; o cabeçalho e as quebras de linha são removidos.
+function getDkimConfig(env) {
+  if (!env.DKIM_DOMAIN || !env.DKIM_SELECTOR || !env.DKIM_PRIVATE_KEY) {
+    return null;
+  }
+  
+  return {
+    domain: env.DKIM_DOMAIN.trim().toLowerCase(),
+    selector: env.DKIM_SELECTOR.trim(),
+    privateKey: env.DKIM_PRIVATE_KEY
+      .replace(/-----(BEGIN|END)[A-Z ]*PRIVATE KEY-----/g, '')
+      .replace(/\s+/g, '')
+  };
+}
+
+// Situação do DKIM para o /health (nunca expõe a chave)
+async function getDkimStatus(env) {
+  const providerName = env.EMAIL_PROVIDER || EMAIL_CONFIG.DEFAULT_PROVIDER;
+  const provider = EMAIL_PROVIDERS[providerName];
+  const dkim = getDkimConfig(env);
+  
+  if (!dkim) {
+    const partial = Boolean(env.DKIM_DOMAIN || env.DKIM_SELECTOR || env.DKIM_PRIVATE_KEY);
+    return { configured: false, status: partial ? 'incomplete' : 'not_configured' };
+  }
+  
+  let validKey = true;
+  try {
+    const keyBytes = Uint8Array.from(atob(dkim.privateKey), char => char.charCodeAt(0));
+    await crypto.subtle.importKey(
+      'pkcs8',
+      keyBytes,
+      { name: 'RSASSA-PKCS1-v1_5', hash: 'SHA-256' },
+      false,
+      ['sign']
+    );
+  } catch (error) {
+    console.error('Chave DKIM inválida:', error.message);
+    validKey = false;
+  }
+  
+  const fromDomain = (env.FROM_EMAIL || EMAIL_CONFIG.DEFAULT_FROM_EMAIL).split('@').pop().toLowerCase();
+  
+  return {
+    configured: true,
+    status: validKey ? 'configured' : 'invalid_key',
+    domain: dkim.domain,
+    selector: dkim.selector,
+    // O domínio do remetente precisa coincidir com (ou ser subdomínio de) DKIM_DOMAIN para o alinhamento DMARC
+    aligned: fromDomain === dkim.domain || fromDomain.endsWith(`.${dkim.domain}`),
+    appliedByProvider: Boolean(provider && provider.dkim)
+  };
+}
+
+// Resend (RESEND_API_KEY)
+async function sendWithResend(env, message) {
+  if (!env.RESEND_API_KEY) {
+    throw new Error('RESEND_API_KEY não configurada');
+  }
+  
+  const response = await fetch('https://api.resend.com/emails', {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${env.RESEND_API_KEY}`
+    },
+    body: JSON.stringify({
+      from: formatAddress(message.from),
+      to: [message.to],
+      subject: message.subject,
+      html: message.html,
+      ...(message.text && { text: message.text }),
+      headers: message.headers
+    })
+  });
+  
+  return await getProviderResult(response);
+}
+
+// Amazon SES v2 (AWS_ACCESS_KEY_ID, AWS_SECRET_ACCESS_KEY, AWS_REGION), com assinatura SigV4
+async function sendWithSes(env, message) {
+  if (!env.AWS_ACCESS_KEY_ID || !env.AWS_SECRET_ACCESS_KEY) {
+    throw new Error('Credenciais AWS não configuradas');
+  }
+  
+  const region = env.AWS_REGION || 'us-east-1';
+  const url = `https://email.${region}.amazonaws.com/v2/email/outbound-emails`;
+  const body = JSON.stringify({
+    FromEmailAddress: formatAddress(message.from),
+    Destination: { ToAddresses: [message.to] },
+    Content: {
+      Simple: {
+        Subject: { Data: message.subject, Charset: 'UTF-8' },
+        Body: {
+          Html: { Data: message.html, Charset: 'UTF-8' },
+          ...(message.text && { Text: { Data: message.text, Charset: 'UTF-8' } })
+        },
+        Headers: Object.entries(message.headers).map(([Name, Value]) => ({ Name, Value }))
+      }
+    }
+  });
+  
+  const headers = await signAwsRequest(env, { method: 'POST', url, body, region, service: 'ses' });
+  const response = await fetch(url, { method: 'POST', headers, body });
+  
+  return await getProviderResult(response);
+}
+
+// Assinar uma requisição AWS (Signature Version 4); retorna os cabeçalhos a enviar
+async function signAwsRequest(env, { method, url, body, region, service }) {
+  const target = new URL(url);
+  const amzDate = new Date().toISOString().replace(/[:-]|\.\d{3}/g, '');
+  const dateStamp = amzDate.substring(0, 8);
+  const payloadHash = await sha256Hex(body);
+  
+  const headers = {
+    'content-type': 'application/json',
+    'host': target.host,
+    'x-amz-content-sha256': payloadHash,
+    'x-amz-date': amzDate
+  };
+  
+  if (env.AWS_SESSION_TOKEN) {
+    headers['x-amz-security-token'] = env.AWS_SESSION_TOKEN;
+  }
+  
+  const signedHeaders = Object.keys(headers).sort().join(';');
+  const canonicalRequest = [
+    method,
+    target.pathname,
+    target.search.substring(1),
+    Object.keys(headers).sort().map(name => `${name}:${headers[name]}\n`).join(''),
+    signedHeaders,
+    payloadHash
+  ].join('\n');
+  
+  const scope = `${dateStamp}/${region}/${service}/aws4_request`;
+  const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, await sha256Hex(canonicalRequest)].join('\n');
+  
+  // Chave derivada: data -> região -> serviço -> "aws4_request"
+  let signingKey = new TextEncoder().encode(`AWS4${env.AWS_SECRET_ACCESS_KEY}`);
+  for (const part of [dateStamp, region, service, 'aws4_request']) {
+    signingKey = await hmacSha256(signingKey, part);
+  }
+  
+  const signature = Array.from(new Uint8Array(await hmacSha256(signingKey, stringToSign)), byte => byte.toString(16).padStart(2, '0')).join('');
+  
+  delete headers.host;
+  headers['authorization'] = `AWS4-HMAC-SHA256 Credential=${env.AWS_ACCESS_KEY_ID}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`;
+  
+  return headers;
+}
+
+// HMAC-SHA256 com chave em bytes; retorna o ArrayBuffer da assinatura
+async function hmacSha256(keyBytes, message) {
+  const key = await crypto.subtle.importKey('raw', keyBytes, { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+  return await crypto.subtle.sign('HMAC', key, new TextEncoder().encode(message));
+}
+
+// Provedor HTTP genérico (EMAIL_HTTP_URL, EMAIL_HTTP_TOKEN opcional), ex.: um relay SMTP com API HTTP
+async function sendWithHttp(env, message) {
+  if (!env.EMAIL_HTTP_URL) {
+    throw new Error('EMAIL_HTTP_URL não configurada');
+  }
+  
+  const headers = { 'Content-Type': 'application/json' };
+  if (env.EMAIL_HTTP_TOKEN) {
+    headers['Authorization'] = `Bearer ${env.EMAIL_HTTP_TOKEN}`;
+  }
+  
+  const response = await fetch(env.EMAIL_HTTP_URL, {
+    method: 'POST',
+    headers,
+    body: JSON.stringify(message)
+  });
+  
+  return await getProviderResult(response);
+}
+
+// Provedor de captura: não envia nada; registra no log e no KV
+// (consultável em /admin/api/captured-emails) para inspeção em testes
+async function captureEmail(env, message) {
+  const captured = { ...message, capturedAt: new Date().toISOString() };
+  
+  console.log(`E-mail capturado para ${message.to}: ${message.subject}`);
+  
+  const inverted = String(9999999999999 - Date.now()).padStart(13, '0');
+  await env.ESUS_MONITOR_KV.put(
+    `${KV_KEYS.CAPTURED_EMAIL_PREFIX}${inverted}:${crypto.randomUUID()}`,
+    JSON.stringify(captured),
+    { expirationTtl: EMAIL_CONFIG.CAPTURE_TTL_SECONDS }
+  );
+  
+  return { ok: true, status: 200, error: null };
+}
+
+// Listar os e-mails capturados mais recentes
+async function listCapturedEmails(env, limit = 50) {
+  const page = await env.ESUS_MONITOR_KV.list({ prefix: KV_KEYS.CAPTURED_EMAIL_PREFIX, limit });
+  const emails = [];
+  
+  for (const key of page.keys) {
+    const emailJson = await env.ESUS_MONITOR_KV.get(key.name);
+    if (emailJson) {
+      emails.push(JSON.parse(emailJson));
+    }
+  }
+  
+  return emails;
+}
+
+// Conteúdo do e-mail de nova postagem no blog
+function renderBlogEmail(post) {
+  return {
+    subject: `📝 Nova postagem no Blog e-SUS APS: ${post.title}`,
+    content: html`
+      <h2>📝 Nova postagem no Blog e-SUS APS</h2>
+      <div class="update-box">
+        <div class="update-title">${post.title}</div>
+        ${post.publishedAt && html`<p style="font-size: 14px; color: #666;">Publicado em ${new Date(post.publishedAt).toLocaleDateString('pt-BR')}</p>`}
+        ${post.summary && html`<p>${post.summary}</p>`}
+        <p><a href="${post.link}" class="link">Ler postagem completa →</a></p>
+      </div>
+      <p>Esta postagem foi detectada em ${new Date(post.extractedAt).toLocaleString('pt-BR')}.</p>
+    `,
+    text: plainText([
+      'Nova postagem no Blog e-SUS APS',
+      '',
+      post.title,
+      post.publishedAt && `Publicado em ${new Date(post.publishedAt).toLocaleDateString('pt-BR')}`,
+      post.summary && ['', post.summary],
+      '',
+      textLink('Ler postagem completa', post.link),
+      '',
+      `Esta postagem foi detectada em ${new Date(post.extractedAt).toLocaleString('pt-BR')}.`
+    ])
+  };
+}
+
+// Resumo do último post do blog (e-mail de boas-vindas)
+function renderBlogSummary(post) {
+  if (!post) {
+    return {
+      content: html`<p><strong>Último post:</strong> Nenhuma postagem encontrada</p>`,
+      text: 'Último post: Nenhuma postagem encontrada'
+    };
+  }
+  
+  return {
+    content: html`
+        <p><strong>Último post:</strong> ${post.title}</p>
+        <p><a href="${post.link}" class="link">Ver postagem completa →</a></p>`,
+    text: plainText([`Último post: ${post.title}`, textLink('Ver postagem completa', post.link)])
+  };
+}
+
+// Mensagem do Telegram de nova postagem no blog
+function renderBlogTelegram(post) {
+  return [
+    '📝 *Nova postagem no Blog e\\-SUS APS*',
+    '',
+    `*${escapeTelegramMarkdown(post.title)}*`,
+    post.summary ? escapeTelegramMarkdown(post.summary) : null,
+    '',
+    `[Ler postagem completa](${escapeTelegramUrl(post.link)})`
+  ].filter(line => line !== null).join('\n');
+}
+
+// Conteúdo do e-mail de nova versão da LEDI
+function renderLediEmail(version) {
+  return {
+    subject: `🔧 Nova versão da API LEDI: ${version.version}`,
+    content: html`
+      <h2>🔧 Nova versão da API LEDI</h2>
+      <div class="update-box">
+        <div class="update-title">Versão ${version.version}</div>
+        ${renderLediChanges(version)}
+        ${renderDiffHtml(version.diffs)}
+        <p><a href="${SOURCES.LEDI_CHANGES}" class="link">Ver todas as alterações →</a></p>
+        <p><a href="${SOURCES.LEDI}" class="link">Ver documentação completa →</a></p>
+      </div>
+      <p>Esta versão foi detectada em ${new Date(version.extractedAt).toLocaleString('pt-BR')}.</p>
+    `,
+    text: plainText([
+      'Nova versão da API LEDI',
+      '',
+      `Versão ${version.version}`,
+      '',
+      renderLediChangesText(version),
+      '',
+      renderDiffText(version.diffs),
+      '',
+      textLink('Ver todas as alterações', SOURCES.LEDI_CHANGES),
+      textLink('Ver documentação completa', SOURCES.LEDI),
+      '',
+      `Esta versão foi detectada em ${new Date(version.extractedAt).toLocaleString('pt-BR')}.`
+    ])
+  };
+}
+
+// Alterações da versão: lista estruturada quando disponível, senão o texto simples
+function renderLediChanges(version) {
+  const entry = version.changelogEntry;
+  
+  if (entry && entry.changes.length > 0) {
+    return html`
+        <p><strong>Principais alterações:</strong></p>
+        <ul style="font-size: 14px; color: #444;">
+          ${entry.changes.map(change => html`<li>${change}</li>`)}
+        </ul>
+        ${entry.recordTypes.length > 0 && html`<p style="font-size: 14px;"><strong>Tipos afetados:</strong> ${entry.recordTypes.join(', ')}</p>`}`;
+  }
+  
+  return version.changes
+    ? html`<p><strong>Principais alterações:</strong></p><p style="font-size: 14px; color: #666;">${version.changes}</p>`
+    : '';
+}
+
+// Alterações da versão em texto simples
+function renderLediChangesText(version) {
+  const entry = version.changelogEntry;
+  
+  if (entry && entry.changes.length > 0) {
+    return [
+      'Principais alterações:',
+      entry.changes.map(change => `- ${change}`),
+      entry.recordTypes.length > 0 && ['', `Tipos afetados: ${entry.recordTypes.join(', ')}`]
+    ];
+  }
+  
+  return version.changes ? ['Principais alterações:', version.changes] : null;
+}
+
+// Resumo da última versão da LEDI (e-mail de boas-vindas)
+function renderLediSummary(version) {
+  if (!version) {
+    return {
+      content: html`<p><strong>Versão atual:</strong> Nenhuma versão encontrada</p>`,
+      text: 'Versão atual: Nenhuma versão encontrada'
+    };
+  }
+  
+  const changes = version.changes
+    ? `${version.changes.substring(0, 300)}${version.changes.length > 300 ? '...' : ''}`
+    : null;
+  
+  return {
+    content: html`
+        <p><strong>Versão atual:</strong> ${version.version}</p>
+        ${changes && html`<p><strong>Principais alterações:</strong></p><p style="font-size: 14px; color: #666;">${changes}</p>`}`,
+    text: plainText([`Versão atual: ${version.version}`, changes && ['Principais alterações:', changes]])
+  };
+}
+
+// Mensagem do Telegram de nova versão da LEDI (até 10 alterações)
+function renderLediTelegram(version) {
+  const entry = version.changelogEntry;
+  const changes = entry ? entry.changes : [];
+  const lines = [
+    '🔧 *Nova versão da API LEDI*',
+    '',
+    `*Versão ${escapeTelegramMarkdown(version.version)}*`
+  ];
+  
+  if (changes.length > 0) {
+    lines.push('', '*Principais alterações:*');
+    changes.slice(0, 10).forEach(change => lines.push(`• ${escapeTelegramMarkdown(change)}`));
+    
+    if (changes.length > 10) {
+      lines.push(escapeTelegramMarkdown(`... e mais ${changes.length - 10} alteração(ões)`));
+    }
+  }
+  
+  if (entry && entry.recordTypes.length > 0) {
+    lines.push('', `*Tipos afetados:* ${escapeTelegramMarkdown(entry.recordTypes.join(', '))}`);
+  }
+  
+  lines.push('', `[Ver todas as alterações](${escapeTelegramUrl(SOURCES.LEDI_CHANGES)})`);
+  return lines.join('\n');
+}
+
+// Conteúdo do e-mail de nova versão do PEC
+function renderPecEmail(version) {
+  const releaseDate = version.releaseDate
+    ? new Date(`${version.releaseDate}T12:00:00Z`).toLocaleDateString('pt-BR')
+    : null;
+  
+  return {
+    subject: `💾 Nova versão do PEC e-SUS APS: ${version.version}`,
+    content: html`
+      <h2>💾 Nova versão do PEC e-SUS APS</h2>
+      <div class="update-box">
+        <div class="update-title">Versão ${version.version}</div>
+        ${releaseDate && html`<p><strong>Data de lançamento:</strong> ${releaseDate}</p>`}
+        ${version.installers && version.installers.length > 0 && html`
+        <p><strong>Instaladores:</strong></p>
+        <ul>
+          ${version.installers.map(installer => html`<li><a href="${installer.url}" class="link">${installer.label}</a></li>`)}
+        </ul>`}
+        <p><a href="${SOURCES.PEC}" class="link">Ver página de download →</a></p>
+      </div>
+      <p>Antes de atualizar, confira as notas da versão e faça backup da base de dados do PEC.</p>
+      <p>Esta versão foi detectada em ${new Date(version.extractedAt).toLocaleString('pt-BR')}.</p>
+    `,
+    text: plainText([
+      'Nova versão do PEC e-SUS APS',
+      '',
+      `Versão ${version.version}`,
+      releaseDate && `Data de lançamento: ${releaseDate}`,
+      version.installers && version.installers.length > 0 && [
+        '',
+        'Instaladores:',
+        version.installers.map(installer => textLink(`- ${installer.label}`, installer.url))
+      ],
+      '',
+      textLink('Ver página de download', SOURCES.PEC),
+      '',
+      'Antes de atualizar, confira as notas da versão e faça backup da base de dados do PEC.',
+      `Esta versão foi detectada em ${new Date(version.extractedAt).toLocaleString('pt-BR')}.`
+    ])
+  };
+}
+
+// Resumo da última versão do PEC (e-mail de boas-vindas)
+function renderPecSummary(version) {
+  if (!version) {
+    return {
+      content: html`<p><strong>Versão atual:</strong> Nenhuma versão encontrada</p>`,
+      text: 'Versão atual: Nenhuma versão encontrada'
+    };
+  }
+  
+  return {
+    content: html`
+        <p><strong>Versão atual:</strong> ${version.version}</p>
+        <p><a href="${SOURCES.PEC}" class="link">Ver página de download →</a></p>`,
+    text: plainText([`Versão atual: ${version.version}`, textLink('Ver página de download', SOURCES.PEC)])
+  };
+}
+
+// Conteúdo do e-mail de alteração em página vigiada
+function renderWatchedPageEmail(page) {
+  return {
+    subject: `📄 Página alterada: ${page.name}`,
+    content: html`
+      <h2>📄 Alteração detectada em ${page.name}</h2>
+      <div class="update-box">
+        <div class="update-title">${page.title}</div>
+        <p>O conteúdo da página mudou desde a última verificação.</p>
+        ${renderDiffHtml(page.diffs)}
+        <p><a href="${page.url}" class="link">Ver página →</a></p>
+      </div>
+      <p>Esta alteração foi detectada em ${new Date(page.extractedAt).toLocaleString('pt-BR')}.</p>
+    `,
+    text: plainText([
+      `Alteração detectada em ${page.name}`,
+      '',
+      page.title,
+      'O conteúdo da página mudou desde a última verificação.',
+      '',
+      renderDiffText(page.diffs),
+      '',
+      textLink('Ver página', page.url),
+      '',
+      `Esta alteração foi detectada em ${new Date(page.extractedAt).toLocaleString('pt-BR')}.`
+    ])
+  };
+}
+
+// Blocos coloridos com as linhas adicionadas (verde) e removidas (vermelho) de cada página
+function renderDiffHtml(diffs) {
+  if (!diffs || diffs.length === 0) {
+    return '';
+  }
+  
+  return diffs.map(diff => {
+    let remaining = DIFF_CONFIG.EMAIL_MAX_LINES;
+    const blocks = [];
     
-    // Usar HTMLRewriter para extrair a primeira versão da tabela
-    const rewriter = new HTMLRewriter()
-      .on('table tbody tr td:first-child', {
-        text(text) {
-          if (isFirstRow && text.text && text.text.trim()) {
-            latestVersion.version = text.text.trim();
-            isFirstRow = false;
-          }
-        }
-      });
+    for (const block of diff.blocks) {
+      if (remaining <= 0) {
+        break;
+      }
+      
+      const lines = block.lines.slice(0, remaining);
+      remaining -= lines.length;
+      
+      const style = block.type === 'added'
+        ? 'background: #e6ffed; border-left: 4px solid #28a745; color: #22863a;'
+        : 'background: #ffeef0; border-left: 4px solid #d73a49; color: #b31d28;';
+      const sign = block.type === 'added' ? '+' : '-';
+      
+      blocks.push(html`<div style="${style} padding: 6px 10px; margin: 6px 0; font-family: monospace; font-size: 13px; white-space: pre-wrap;">${raw(lines.map(line => escapeHtml(`${sign} ${line}`)).join('<br>'))}</div>`);
+    }
     
-    await rewriter.transform(response);
+    const hidden = diff.added + diff.removed - (DIFF_CONFIG.EMAIL_MAX_LINES - remaining);
     
-    // Validar dados extraídos
-    if (!latestVersion.version) {
-      throw new Error('Não foi possível extrair versão da LEDI');
-    }
+    return html`
+        <p style="font-size: 14px;"><strong>Diferenças em <a href="${diff.url}" class="link">${diff.url}</a>:</strong> +${diff.added} / -${diff.removed} linha(s)</p>
+        ${blocks}
+        ${hidden > 0 && html`<p style="font-size: 13px; color: #666;">... e mais ${hidden} linha(s) alterada(s)</p>`}`;
+  });
+}
+
+// Diferenças em texto simples, com o mesmo limite de linhas dos blocos HTML
+function renderDiffText(diffs) {
+  if (!diffs || diffs.length === 0) {
+    return null;
+  }
+  
+  return diffs.map(diff => {
+    const sign = { added: '+', removed: '-' };
+    const lines = diff.blocks
+      .flatMap(block => block.lines.map(line => `${sign[block.type]} ${line}`))
+      .slice(0, DIFF_CONFIG.EMAIL_MAX_LINES);
+    const hidden = diff.added + diff.removed - lines.length;
     
-    // Buscar alterações da versão
-    try {
-      latestVersion.changes = await getLediChanges();
-    } catch (changesError) {
-      console.warn('Erro ao buscar alterações da LEDI:', changesError.message);
-      latestVersion.changes = 'Alterações não disponíveis no momento';
+    return [
+      `Diferenças em ${diff.url}: +${diff.added} / -${diff.removed} linha(s)`,
+      lines,
+      hidden > 0 && `... e mais ${hidden} linha(s) alterada(s)`,
+      ''
+    ];
+  });
+}
+
+// Resumo de página vigiada (e-mail de boas-vindas)
+function renderWatchedPageSummary(page) {
+  if (!page) {
+    return {
+      content: html`<p><strong>Página:</strong> Ainda não verificada</p>`,
+      text: 'Página: Ainda não verificada'
+    };
+  }
+  
+  const checkedAt = new Date(page.extractedAt).toLocaleString('pt-BR');
+  
+  return {
+    content: html`
+        <p><strong>Última verificação:</strong> ${checkedAt}</p>
+        <p><a href="${page.url}" class="link">Ver página →</a></p>`,
+    text: plainText([`Última verificação: ${checkedAt}`, textLink('Ver página', page.url)])
+  };
+}
+
+// E-mail combinado com uma seção por fonte (resumo da verificação, diário ou semanal)
+function renderDigestEmail(notifications, period) {
+  const titles = { daily: 'Resumo diário', weekly: 'Resumo semanal' };
+  const title = titles[period] || 'Resumo das atualizações';
+  
+  const sections = getSources()
+    .map(source => ({
+      source,
+      emails: notifications
+        .filter(notification => notification.type === source.id)
+        .map(notification => source.renderEmail(notification.data))
+    }))
+    .filter(section => section.emails.length > 0);
+  
+  // Conteúdo de cada item como no e-mail individual (já escapado), sem o título repetido
+  return {
+    subject: `📬 ${title} do Monitor e-SUS APS: ${notifications.length} atualização(ões)`,
+    content: html`
+      <h2>📬 ${title}</h2>
+      <p>${notifications.length} atualização(ões) detectada(s) nas fontes que você acompanha.</p>
+      ${sections.map(({ source, emails }) => html`
+      <h3>${source.icon} ${source.name} (${emails.length})</h3>
+      ${emails.map(email => raw(String(email.content).replace(/<h2>[\s\S]*?<\/h2>/, '')))}`)}
+    `,
+    text: plainText([
+      title,
+      '',
+      `${notifications.length} atualização(ões) detectada(s) nas fontes que você acompanha.`,
+      sections.map(({ source, emails }) => [
+        '',
+        `== ${source.name} (${emails.length}) ==`,
+        emails.map(email => ['', email.text.split('\n').slice(2).join('\n')])
+      ])
+    ])
+  };
+}
+
+// Enviar e-mail com link para confirmar a inscrição
+async function sendConfirmationRequestEmail(env, email, confirmUrl) {
+  const content = html`
+    <h2>📧 Confirme sua inscrição</h2>
+    <p>Recebemos um pedido para inscrever este endereço no Monitor e-SUS APS.</p>
+    <p>Para começar a receber as notificações, confirme a inscrição clicando no link abaixo:</p>
+    <p><a href="${confirmUrl}" class="link">Confirmar inscrição →</a></p>
+    <p style="font-size: 14px; color: #666;">O link expira em ${SUBSCRIPTION_CONFIG.CONFIRMATION_TTL_HOURS} horas. Se você não pediu esta inscrição, ignore este e-mail.</p>
+  `;
+
+  const text = plainText([
+    'Confirme sua inscrição',
+    '',
+    'Recebemos um pedido para inscrever este endereço no Monitor e-SUS APS.',
+    'Para começar a receber as notificações, confirme a inscrição abrindo o link abaixo:',
+    '',
+    textLink('Confirmar inscrição', confirmUrl),
+    '',
+    `O link expira em ${SUBSCRIPTION_CONFIG.CONFIRMATION_TTL_HOURS} horas. Se você não pediu esta inscrição, ignore este e-mail.`
+  ]);
+
+  const htmlContent = String(renderEmailLayout('Confirme sua inscrição - Monitor e-SUS APS', content));
+  
+  return await sendEmail(env, email, '📧 Confirme sua inscrição - Monitor e-SUS APS', htmlContent, {
+    text: renderTextLayout(text)
+  });
+}
+
+// Enviar e-mail de confirmação
+async function sendConfirmationEmail(env, email, latestUpdates, links) {
+  const sources = getSources();
+  
+  const content = html`
+    <h2>✅ Inscrição confirmada!</h2>
+    <p>Obrigado por se inscrever no Monitor e-SUS APS! Você agora receberá notificações automáticas sempre que houver atualizações.</p>
+    
+    <h3>📋 O que monitoramos:</h3>
+    <ul>
+        ${sources.map(source => html`<li><strong>${source.name}:</strong> ${source.description}</li>`)}
+    </ul>
+
+    <h3>🔄 Últimas atualizações conhecidas:</h3>
+    
+    ${sources.map(source => html`
+    <div class="update-box">
+        <div class="update-title">${source.icon} ${source.name}</div>
+        ${source.renderSummary(latestUpdates[source.id]).content}
+    </div>`)}
+
+    <p>🔔 <strong>Próximos passos:</strong> Você receberá um e-mail sempre que detectarmos novas atualizações nas fontes escolhidas.</p>
+  `;
+
+  const text = plainText([
+    'Inscrição confirmada!',
+    '',
+    'Obrigado por se inscrever no Monitor e-SUS APS! Você agora receberá notificações automáticas sempre que houver atualizações.',
+    '',
+    'O que monitoramos:',
+    sources.map(source => `- ${source.name}: ${source.description}`),
+    '',
+    'Últimas atualizações conhecidas:',
+    sources.map(source => ['', source.name, source.renderSummary(latestUpdates[source.id]).text]),
+    '',
+    'Próximos passos: Você receberá um e-mail sempre que detectarmos novas atualizações nas fontes escolhidas.'
+  ]);
+
+  const htmlContent = String(renderEmailLayout('Confirmação de Inscrição - Monitor e-SUS APS', content, links));
+  
+  return await sendEmail(env, email, '✅ Confirmação de Inscrição - Monitor e-SUS APS', htmlContent, {
+    ...links,
+    text: renderTextLayout(text, links)
+  });
+}
+
+// Ler a configuração da fila (variáveis de ambiente com os padrões de QUEUE_CONFIG)
+function getQueueConfig(env) {
+  const readPositiveInt = (value, fallback) => {
+    const parsed = parseInt(value, 10);
+    return Number.isInteger(parsed) && parsed > 0 ? parsed : fallback;
+  };
+  
+  return {
+    batchSize: readPositiveInt(env.SEND_BATCH_SIZE, QUEUE_CONFIG.BATCH_SIZE),
+    ratePerSecond: readPositiveInt(env.SEND_RATE_PER_SECOND, QUEUE_CONFIG.RATE_PER_SECOND),
+    batchesPerRun: readPositiveInt(env.SEND_BATCHES_PER_RUN, QUEUE_CONFIG.BATCHES_PER_RUN),
+    maxOperations: readPositiveInt(env.SEND_MAX_OPERATIONS, QUEUE_CONFIG.MAX_OPERATIONS)
+  };
+}
+
+// Gravar job de envio (status nos metadados; jobs concluídos expiram)
+async function storeEmailJob(env, job) {
+  const options = { metadata: { status: job.status } };
+  if (job.status === 'done') {
+    options.expirationTtl = QUEUE_CONFIG.DONE_RETENTION_DAYS * 24 * 60 * 60;
+  }
+  
+  await env.ESUS_MONITOR_KV.put(`${KV_KEYS.EMAIL_JOB_PREFIX}${job.id}`, JSON.stringify(job), options);
+}
+
+// Enfileirar o envio por e-mail das notificações de uma verificação (ou de um resumo periódico)
+async function enqueueEmailJob(env, notifications, historyKeys = [], period = null) {
+  const createdAt = new Date().toISOString();
+  const id = `${createdAt}:${crypto.randomUUID()}`;
+  
+  const job = {
+    id,
+    status: 'pending',
+    // null: notificações de uma verificação; 'daily'/'weekly': resumo periódico
+    period,
+    createdAt,
+    updatedAt: createdAt,
+    // Cursor da listagem de inscritos: até onde o envio já chegou
+    cursor: null,
+    subscribersProcessed: 0,
+    runs: 0,
+    leaseUntil: null,
+    notifications: notifications.map((notification, index) => ({
+      id: `${id}:${index}`,
+      type: notification.type,
+      data: notification.data,
+      historyKey: historyKeys[index] || null,
+      sent: 0,
+      failed: 0
+    }))
+  };
+  
+  await storeEmailJob(env, job);
+  return job;
+}
+
+// Enviar notificações por e-mail: enfileira um job e já processa o primeiro lote nesta execução
+async function sendNotificationEmails(env, notifications, historyKeys) {
+  const job = await enqueueEmailJob(env, notifications, historyKeys);
+  console.log(`Envio de e-mails enfileirado: ${job.id}`);
+  
+  return await processEmailQueue(env);
+}
+
+// Operações (envios e KV) reservadas ao processar um job: `fixed` para aluguel, liberação e
+// histórico; `batch` para listagem e checkpoint de cada lote; `subscriber` para a leitura do
+// registro, cada e-mail (idempotência, envio e marcação) e a data do último envio
+function getJobOperationCosts(job) {
+  const emailsPerSubscriber = job.period ? 1 : job.notifications.length;
+  
+  return {
+    fixed: 2 + job.notifications.length * 2,
+    batch: 2,
+    subscriber: 2 + emailsPerSubscriber * 3
+  };
+}
+
+// Processar os jobs pendentes, do mais antigo para o mais recente, dentro do tempo e do
+// orçamento de operações da execução; o que sobrar fica para o próximo cron
+async function processEmailQueue(env) {
+  const config = getQueueConfig(env);
+  const startedAt = Date.now();
+  const budget = { remaining: config.maxOperations };
+  const result = { jobs: 0, sent: 0, failed: 0, pending: 0 };
+  let cursor = null;
+  
+  // Sem PUBLIC_URL não há como montar os links de cancelamento: os jobs ficam na fila,
+  // sem consumir execuções, até a configuração ser corrigida
+  let baseUrl;
+  try {
+    baseUrl = getBaseUrl(env);
+  } catch (error) {
+    console.error('Fila de e-mails não processada:', error);
+    await storeErrorLog(env, 'email', error);
+    result.error = error.message;
+    return result;
+  }
+  
+  do {
+    const options = { prefix: KV_KEYS.EMAIL_JOB_PREFIX };
+    if (cursor) {
+      options.cursor = cursor;
     }
     
-    console.log(`LEDI scraping bem-sucedido: versão "${latestVersion.version}"`);
-    return latestVersion;
+    const page = await env.ESUS_MONITOR_KV.list(options);
+    cursor = page.list_complete ? null : page.cursor;
+    budget.remaining--;
     
+    for (const key of page.keys) {
+      if (key.metadata && key.metadata.status === 'done') {
+        continue;
+      }
+      
+      if (budget.remaining < 1) {
+        result.pending++;
+        continue;
+      }
+      
+      const jobJson = await env.ESUS_MONITOR_KV.get(key.name);
+      const job = jobJson ? JSON.parse(jobJson) : null;
+      budget.remaining--;
+      
+      if (!job || job.status === 'done') {
+        continue;
+      }
+      
+      const costs = getJobOperationCosts(job);
+      
+      // Sem tempo ou operações para ao menos um inscrito, ou job em processamento por outra execução
+      if (Date.now() - startedAt >= QUEUE_CONFIG.MAX_RUN_MS ||
+          budget.remaining < costs.fixed + costs.batch + costs.subscriber ||
+          (job.leaseUntil && job.leaseUntil > Date.now())) {
+        result.pending++;
+        continue;
+      }
+      
+      const counts = await processEmailJob(env, job, config, startedAt, budget, baseUrl);
+      result.jobs++;
+      result.sent += counts.sent;
+      result.failed += counts.failed;
+      
+      if (job.status !== 'done') {
+        result.pending++;
+      }
+    }
+  } while (cursor);
+  
+  return result;
+}
+
+// Enviar lotes de um job, gravando o cursor após cada lote para retomar em caso de falha.
+// Cada lote é limitado ao que cabe no orçamento, reservando a liberação e o histórico.
+async function processEmailJob(env, job, config, startedAt, budget, baseUrl) {
+  const counts = { sent: 0, failed: 0 };
+  const costs = getJobOperationCosts(job);
+  
+  job.runs++;
+  job.leaseUntil = Date.now() + QUEUE_CONFIG.LEASE_MS;
+  await storeEmailJob(env, job);
+  budget.remaining -= costs.fixed;
+  
+  try {
+    for (let batch = 0; batch < config.batchesPerRun && Date.now() - startedAt < QUEUE_CONFIG.MAX_RUN_MS; batch++) {
+      const limit = Math.min(config.batchSize, Math.floor((budget.remaining - costs.batch) / costs.subscriber));
+      if (limit < 1) {
+        break;
+      }
+      
+      const page = await listSubscribers(env, { cursor: job.cursor, limit, status: 'active' });
+      budget.remaining -= costs.batch + page.subscribers.length * costs.subscriber;
+      
+      for (const subscriber of page.subscribers) {
+        const subscriberCounts = await sendJobEmailsToSubscriber(env, job, subscriber, baseUrl, config);
+        counts.sent += subscriberCounts.sent;
+        counts.failed += subscriberCounts.failed;
+      }
+      
+      job.cursor = page.cursor;
+      job.subscribersProcessed += page.subscribers.length;
+      job.updatedAt = new Date().toISOString();
+      
+      if (!page.cursor) {
+        job.status = 'done';
+        job.completedAt = job.updatedAt;
+        break;
+      }
+      
+      // Checkpoint do lote
+      await storeEmailJob(env, job);
+    }
   } catch (error) {
-    console.error('Erro no scraping da LEDI:', error);
-    throw error;
+    console.error(`Erro ao processar job de e-mails ${job.id}:`, error);
+    job.lastError = error.message;
+    await storeErrorLog(env, 'email', error);
+  }
+  
+  job.leaseUntil = null;
+  await storeEmailJob(env, job);
+  
+  if (job.status === 'done') {
+    console.log(`Job de e-mails concluído: ${job.id} (${job.subscribersProcessed} inscritos, ${job.runs} execução(ões))`);
+    
+    for (const notification of job.notifications) {
+      if (notification.historyKey) {
+        await updateHistoryEmailOutcome(env, notification.historyKey, notification);
+      }
+    }
+  }
+  
+  return counts;
+}
+
+// Enviar a um inscrito as notificações do job dos seus tópicos, pulando as já enviadas (idempotência)
+async function sendJobEmailsToSubscriber(env, job, subscriber, baseUrl, config) {
+  const counts = { sent: 0, failed: 0 };
+  const email = subscriber.email;
+  const delivery = getSubscriberDelivery(subscriber);
+  
+  // Jobs de verificação atendem 'immediate' e 'digest'; jobs de resumo, só o seu período
+  if (job.period ? delivery !== job.period : !['immediate', 'digest'].includes(delivery)) {
+    return counts;
+  }
+  
+  const topics = getSubscriberTopics(subscriber);
+  const subscriberNotifications = job.notifications.filter(notification => topics.includes(notification.type));
+  
+  if (subscriberNotifications.length === 0) {
+    return counts;
   }
-}
-
-// Buscar alterações da LEDI
-async function getLediChanges() {
-  try {
-    const response = await fetch(SOURCES.LEDI_CHANGES, {
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (compatible; e-SUS Monitor/1.0)'
-      }
-    });
+  
+  const subscriberHash = (await getSubscriberKey(email)).substring(KV_KEYS.SUBSCRIBER_PREFIX.length);
+  const links = await buildSubscriberLinks(env, email, baseUrl);
+  let sentToSubscriber = false;
+  
+  // Um e-mail por notificação ou um único e-mail combinado
+  const messages = delivery === 'immediate'
+    ? subscriberNotifications.map(notification => ({
+      id: notification.id,
+      notifications: [notification],
+      ...getSource(notification.type).renderEmail(notification.data)
+    }))
+    : [{
+      id: `${job.id}:digest`,
+      notifications: subscriberNotifications,
+      ...renderDigestEmail(subscriberNotifications, job.period)
+    }];
+  
+  for (const message of messages) {
+    const idempotencyKey = `${KV_KEYS.EMAIL_SENT_PREFIX}${message.id}:${subscriberHash}`;
     
-    if (!response.ok) {
-      throw new Error(`Erro ao acessar alterações LEDI: ${response.status}`);
+    if (await env.ESUS_MONITOR_KV.get(idempotencyKey)) {
+      continue;
     }
     
-    let changes = '';
+    const htmlContent = String(renderEmailLayout(message.subject, message.content, links));
+    let sent = false;
     
-    // Extrair conteúdo principal da página de alterações
-    const rewriter = new HTMLRewriter()
-      .on('body', {
-        text(text) {
-          changes += text.text;
-        }
+    try {
+      sent = await sendEmail(env, email, message.subject, htmlContent, {
+        ...links,
+        text: renderTextLayout(message.text, links)
       });
+    } catch (error) {
+      console.error(`Erro ao enviar e-mail para ${email}:`, error);
+    }
     
-    await rewriter.transform(response);
+    if (sent) {
+      await env.ESUS_MONITOR_KV.put(idempotencyKey, new Date().toISOString(), {
+        expirationTtl: QUEUE_CONFIG.IDEMPOTENCY_TTL_DAYS * 24 * 60 * 60
+      });
+      counts.sent++;
+      sentToSubscriber = true;
+    } else {
+      counts.failed++;
+    }
     
-    // Limitar tamanho para evitar e-mails muito grandes
-    return changes.substring(0, 2000) + (changes.length > 2000 ? '...' : '');
+    message.notifications.forEach(notification => {
+      notification[sent ? 'sent' : 'failed']++;
+    });
     
-  } catch (error) {
-    console.error('Erro ao buscar alterações da LEDI:', error);
-    return 'Não foi possível obter as alterações desta versão.';
-  }
-}
-
-// Verificar se há novo post no blog
-function hasNewBlogPost(current, stored) {
-  if (!stored || !stored.title || !stored.link) {
-    return true;
+    // Limite de envios por segundo
+    await new Promise(resolve => setTimeout(resolve, 1000 / config.ratePerSecond));
   }
   
-  return current.title !== stored.title || current.link !== stored.link;
-}
-
-// Verificar se há nova versão da LEDI
-function hasNewLediVersion(current, stored) {
-  if (!stored || !stored.version) {
-    return true;
+  if (sentToSubscriber) {
+    await storeSubscriber(env, { ...subscriber, lastSentAt: new Date().toISOString() });
   }
   
-  return current.version !== stored.version;
+  return counts;
 }
 
-// Obter lista de e-mails armazenados
-async function getStoredEmails(env) {
-  try {
-    const emailsJson = await env.ESUS_MONITOR_KV.get(KV_KEYS.EMAILS);
-    if (!emailsJson) {
-      return new Set();
+// Criar os jobs de resumo diário (e semanal, no dia configurado) com as detecções do histórico
+async function sendDigestEmails(env, now = new Date()) {
+  const created = [];
+  
+  for (const period of ['daily', 'weekly']) {
+    if (period === 'weekly' && now.getUTCDay() !== DIGEST_CONFIG.WEEKLY_DAY) {
+      continue;
     }
     
-    const emailsArray = JSON.parse(emailsJson);
-    return new Set(emailsArray);
+    const periodMs = (period === 'daily' ? 1 : 7) * 24 * 60 * 60 * 1000;
+    const lastDigestKey = `${KV_KEYS.LAST_DIGEST_PREFIX}${period}`;
+    const lastDigestAt = await env.ESUS_MONITOR_KV.get(lastDigestKey);
     
-  } catch (error) {
-    console.error('Erro ao obter e-mails armazenados:', error);
-    return new Set();
+    // Não repetir o resumo se o cron rodar de novo dentro do mesmo período
+    if (lastDigestAt && now.getTime() - Date.parse(lastDigestAt) < periodMs - DIGEST_CONFIG.TOLERANCE_MS) {
+      continue;
+    }
+    
+    const from = lastDigestAt || new Date(now.getTime() - periodMs).toISOString();
+    const { items } = await listHistory(env, { from, limit: DIGEST_CONFIG.ITEMS_LIMIT });
+    await env.ESUS_MONITOR_KV.put(lastDigestKey, now.toISOString());
+    
+    // Histórico vem do mais recente para o mais antigo; o resumo lista em ordem cronológica,
+    // com as mesmas diferenças dos e-mails imediatos
+    const notifications = [];
+    for (const item of items.filter(item => getSource(item.source)).reverse()) {
+      notifications.push({ type: item.source, data: await getHistoryNotificationData(env, item) });
+    }
+    
+    if (notifications.length === 0) {
+      console.log(`Nenhuma atualização para o resumo ${period}`);
+      continue;
+    }
+    
+    const job = await enqueueEmailJob(env, notifications, [], period);
+    console.log(`Resumo ${period} enfileirado: ${job.id} (${notifications.length} atualização(ões))`);
+    created.push(job.id);
   }
+  
+  // Os resumos saem no próximo cron da fila: esta execução já gastou o seu orçamento de
+  // operações com a verificação
+  return created;
 }
 
-// Armazenar lista de e-mails
-async function storeEmails(env, emailsSet) {
-  try {
-    const emailsArray = Array.from(emailsSet);
-    await env.ESUS_MONITOR_KV.put(KV_KEYS.EMAILS, JSON.stringify(emailsArray));
-    return true;
-  } catch (error) {
-    console.error('Erro ao armazenar e-mails:', error);
-    return false;
+// Chamar um método da Bot API do Telegram
+async function callTelegramApi(env, method, payload) {
+  if (!env.TELEGRAM_BOT_TOKEN) {
+    throw new Error('TELEGRAM_BOT_TOKEN não configurado');
   }
+  
+  const apiBase = (env.TELEGRAM_API_BASE || TELEGRAM_CONFIG.DEFAULT_API_BASE).replace(/\/+$/, '');
+  const response = await fetch(`${apiBase}/bot${env.TELEGRAM_BOT_TOKEN}/${method}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(payload)
+  });
+  
+  const result = await response.json().catch(() => ({ ok: false, description: `HTTP ${response.status}` }));
+  return { status: response.status, ...result };
 }
 
-// Obter último post do blog armazenado
-async function getStoredBlogPost(env) {
-  try {
-    const postJson = await env.ESUS_MONITOR_KV.get(KV_KEYS.LAST_BLOG_POST);
-    return postJson ? JSON.parse(postJson) : null;
-  } catch (error) {
-    console.error('Erro ao obter último post do blog:', error);
-    return null;
-  }
+// Enviar mensagem (MarkdownV2) para um chat; retorna a resposta da Bot API
+async function sendTelegramMessage(env, chatId, text) {
+  return await callTelegramApi(env, 'sendMessage', {
+    chat_id: chatId,
+    text,
+    parse_mode: 'MarkdownV2',
+    disable_web_page_preview: true
+  });
 }
 
-// Armazenar último post do blog
-async function storeBlogPost(env, blogPost) {
-  try {
-    await env.ESUS_MONITOR_KV.put(KV_KEYS.LAST_BLOG_POST, JSON.stringify(blogPost));
-    return true;
-  } catch (error) {
-    console.error('Erro ao armazenar post do blog:', error);
-    return false;
-  }
+// Escapar texto para MarkdownV2 do Telegram
+function escapeTelegramMarkdown(text) {
+  return String(text).replace(/[_*[\]()~`>#+\-=|{}.!\\]/g, '\\$&');
 }
 
-// Obter última versão da LEDI armazenada
-async function getStoredLediVersion(env) {
-  try {
-    const versionJson = await env.ESUS_MONITOR_KV.get(KV_KEYS.LAST_LEDI_VERSION);
-    return versionJson ? JSON.parse(versionJson) : null;
-  } catch (error) {
-    console.error('Erro ao obter última versão da LEDI:', error);
-    return null;
-  }
+// Escapar URL dentro de um link MarkdownV2 ([texto](url))
+function escapeTelegramUrl(url) {
+  return String(url).replace(/[)\\]/g, '\\$&');
 }
 
-// Armazenar última versão da LEDI
-async function storeLediVersion(env, lediVersion) {
-  try {
-    await env.ESUS_MONITOR_KV.put(KV_KEYS.LAST_LEDI_VERSION, JSON.stringify(lediVersion));
-    return true;
-  } catch (error) {
-    console.error('Erro ao armazenar versão da LEDI:', error);
-    return false;
-  }
+// Mensagem padrão do Telegram para fontes sem renderTelegram
+function renderDefaultTelegram(source, data) {
+  const title = data.title || data.version || source.name;
+  const link = data.link || data.url || source.url;
+  
+  return `${source.icon} *${escapeTelegramMarkdown(source.name)}*\n\n[${escapeTelegramMarkdown(title)}](${escapeTelegramUrl(link)})`;
 }
 
-// Obter status do sistema
-async function getSystemStatus(env) {
-  try {
-    const statusJson = await env.ESUS_MONITOR_KV.get(KV_KEYS.SYSTEM_STATUS);
-    if (!statusJson) {
-      return {
-        lastCheck: null,
-        blogStatus: 'unknown',
-        lediStatus: 'unknown',
-        emailStatus: 'unknown'
-      };
+// Enviar as notificações para os chats do Telegram inscritos em cada tópico
+async function sendTelegramNotifications(env, notifications) {
+  const result = { sent: 0, failed: 0 };
+  
+  if (!env.TELEGRAM_BOT_TOKEN) {
+    return result;
+  }
+  
+  let cursor = null;
+  
+  do {
+    const options = { prefix: KV_KEYS.TELEGRAM_PREFIX };
+    if (cursor) {
+      options.cursor = cursor;
     }
     
-    return JSON.parse(statusJson);
-  } catch (error) {
-    console.error('Erro ao obter status do sistema:', error);
-    return {
-      lastCheck: null,
-      blogStatus: 'error',
-      lediStatus: 'error',
-      emailStatus: 'error'
-    };
-  }
+    const page = await env.ESUS_MONITOR_KV.list(options);
+    cursor = page.list_complete ? null : page.cursor;
+    
+    for (const key of page.keys) {
+      if (key.metadata && key.metadata.status !== 'active') {
+        continue;
+      }
+      
+      const subscriber = await getTelegramSubscriber(env, key.name.substring(KV_KEYS.TELEGRAM_PREFIX.length));
+      if (!subscriber) {
+        continue;
+      }
+      
+      for (const notification of notifications.filter(item => subscriber.topics.includes(item.type))) {
+        const source = getSource(notification.type);
+        const text = source.renderTelegram
+          ? source.renderTelegram(notification.data)
+          : renderDefaultTelegram(source, notification.data);
+        
+        try {
+          const response = await sendTelegramMessage(env, subscriber.chatId, text);
+          
+          if (response.ok) {
+            result.sent++;
+            notification.telegramSent = (notification.telegramSent || 0) + 1;
+          } else {
+            result.failed++;
+            console.error(`Erro do Telegram para o chat ${subscriber.chatId}: ${response.description}`);
+            
+            // Bot bloqueado ou chat removido: cancelar a inscrição
+            if (response.status === 403) {
+              await env.ESUS_MONITOR_KV.delete(key.name);
+              console.log(`Chat do Telegram removido (bot bloqueado): ${subscriber.chatId}`);
+              break;
+            }
+          }
+        } catch (error) {
+          result.failed++;
+          console.error(`Erro ao enviar mensagem do Telegram para ${subscriber.chatId}:`, error);
+        }
+      }
+    }
+  } while (cursor);
+  
+  return result;
 }
 
-// Armazenar status do sistema
-async function storeSystemStatus(env, status) {
+// Obter webhook cadastrado
+async function getWebhook(env, id) {
   try {
-    await env.ESUS_MONITOR_KV.put(KV_KEYS.SYSTEM_STATUS, JSON.stringify(status));
-    return true;
+    const webhookJson = await env.ESUS_MONITOR_KV.get(`${KV_KEYS.WEBHOOK_PREFIX}${id}`);
+    return webhookJson ? JSON.parse(webhookJson) : null;
   } catch (error) {
-    console.error('Erro ao armazenar status do sistema:', error);
-    return false;
+    console.error(`Erro ao obter webhook ${id}:`, error);
+    return null;
   }
 }
 
-// Validar formato de e-mail
-function isValidEmail(email) {
-  if (!email || typeof email !== 'string') {
-    return false;
-  }
+// Listar webhooks cadastrados
+async function listWebhooks(env) {
+  const webhooks = [];
+  let cursor = null;
   
-  const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-  return emailRegex.test(email.trim());
+  do {
+    const options = { prefix: KV_KEYS.WEBHOOK_PREFIX };
+    if (cursor) {
+      options.cursor = cursor;
+    }
+    
+    const page = await env.ESUS_MONITOR_KV.list(options);
+    
+    for (const key of page.keys) {
+      const webhookJson = await env.ESUS_MONITOR_KV.get(key.name);
+      if (webhookJson) {
+        webhooks.push(JSON.parse(webhookJson));
+      }
+    }
+    
+    cursor = page.list_complete ? null : page.cursor;
+  } while (cursor);
+  
+  return webhooks;
 }
 
-// Normalizar e-mail (lowercase e trim)
-function normalizeEmail(email) {
-  return email.toLowerCase().trim();
+// Calcular HMAC-SHA256 em hexadecimal
+async function hmacSha256Hex(secret, message) {
+  const signature = await hmacSha256(new TextEncoder().encode(secret), message);
+  return Array.from(new Uint8Array(signature), byte => byte.toString(16).padStart(2, '0')).join('');
 }
 
-// Verificar atualizações nas duas fontes
-async function checkForUpdates(env) {
-  const status = {
-    lastCheck: new Date().toISOString(),
-    blogStatus: 'ok',
-    lediStatus: 'ok',
-    emailStatus: 'ok'
+// Entregar um POST (assinado quando há segredo), com novas tentativas para erros de rede, 429 e 5xx
+async function deliverWebhook(webhook, deliveryId, body) {
+  const headers = {
+    'Content-Type': 'application/json',
+    'User-Agent': 'e-SUS-Monitor-Webhook/1.0',
+    'X-Esus-Delivery': deliveryId
   };
   
-  let hasUpdates = false;
-  let notifications = [];
+  if (webhook.secret) {
+    headers[WEBHOOK_CONFIG.SIGNATURE_HEADER] = `sha256=${await hmacSha256Hex(webhook.secret, body)}`;
+  }
   
-  try {
-    // Verificar blog do e-SUS APS
-    console.log('Verificando atualizações do blog...');
-    
-    try {
-      const currentBlogPost = await getLatestBlogPost();
-      const storedBlogPost = await getStoredBlogPost(env);
-      
-      if (hasNewBlogPost(currentBlogPost, storedBlogPost)) {
-        console.log('Nova postagem detectada no blog:', currentBlogPost.title);
-        
-        await storeBlogPost(env, currentBlogPost);
-        hasUpdates = true;
-        
-        notifications.push({
-          type: 'blog',
-          data: currentBlogPost
-        });
-      } else {
-        console.log('Nenhuma nova postagem no blog');
-      }
-      
-    } catch (error) {
-      console.error('Erro ao verificar blog:', error);
-      status.blogStatus = 'error';
+  const result = { attempts: 0, ok: false, responseStatus: null, error: null };
+  
+  while (result.attempts < WEBHOOK_CONFIG.MAX_ATTEMPTS) {
+    if (result.attempts > 0) {
+      const delay = WEBHOOK_CONFIG.BACKOFF_BASE_MS * 2 ** (result.attempts - 1);
+      await new Promise(resolve => setTimeout(resolve, delay));
     }
     
-    // Verificar API LEDI
-    console.log('Verificando atualizações da LEDI...');
+    result.attempts++;
     
     try {
-      const currentLediVersion = await getLatestLediVersion();
-      const storedLediVersion = await getStoredLediVersion(env);
+      const response = await fetch(webhook.url, {
+        method: 'POST',
+        headers,
+        body,
+        signal: AbortSignal.timeout(WEBHOOK_CONFIG.TIMEOUT_MS)
+      });
       
-      if (hasNewLediVersion(currentLediVersion, storedLediVersion)) {
-        console.log('Nova versão da LEDI detectada:', currentLediVersion.version);
-        
-        await storeLediVersion(env, currentLediVersion);
-        hasUpdates = true;
-        
-        notifications.push({
-          type: 'ledi',
-          data: currentLediVersion
-        });
-      } else {
-        console.log('Nenhuma nova versão da LEDI');
-      }
+      result.responseStatus = response.status;
+      result.error = null;
       
-    } catch (error) {
-      console.error('Erro ao verificar LEDI:', error);
-      status.lediStatus = 'error';
-    }
-    
-    // Se há atualizações, enviar notificações por e-mail
-    if (hasUpdates && notifications.length > 0) {
-      console.log(`${notifications.length} atualização(ões) detectada(s)`);
+      if (response.ok) {
+        result.ok = true;
+        return result;
+      }
       
-      try {
-        const emailsSent = await sendNotificationEmails(env, notifications);
-        console.log(`Notificações enviadas para ${emailsSent} usuários`);
-        
-        if (emailsSent === 0) {
-          status.emailStatus = 'warning';
-        }
-      } catch (error) {
-        console.error('Erro ao enviar notificações:', error);
-        status.emailStatus = 'error';
+      // Erros do cliente (exceto 429) não melhoram com nova tentativa
+      if (response.status < 500 && response.status !== 429) {
+        return result;
       }
+    } catch (error) {
+      result.responseStatus = null;
+      result.error = error.message;
     }
-    
-  } catch (error) {
-    console.error('Erro geral na verificação de atualizações:', error);
-    status.emailStatus = 'error';
   }
   
-  // Atualizar status do sistema
-  await storeSystemStatus(env, status);
-  
-  return {
-    hasUpdates,
-    notifications,
-    status
-  };
-}
-
-// Função para obter dados das últimas atualizações (para e-mail de confirmação)
-async function getLatestUpdatesData(env) {
-  try {
-    const blogPost = await getStoredBlogPost(env);
-    const lediVersion = await getStoredLediVersion(env);
-    
-    return {
-      blog: blogPost || { title: 'Nenhuma postagem encontrada', link: '#' },
-      ledi: lediVersion || { version: 'Nenhuma versão encontrada', changes: '' }
-    };
-    
-  } catch (error) {
-    console.error('Erro ao obter dados das últimas atualizações:', error);
-    return {
-      blog: { title: 'Erro ao carregar', link: '#' },
-      ledi: { version: 'Erro ao carregar', changes: '' }
-    };
-  }
+  return result;
 }
 
-// Função para contar número de inscritos
-async function getSubscriberCount(env) {
+// Registrar uma entrega no log do webhook
+async function storeWebhookDelivery(env, webhookId, delivery, sequence) {
   try {
-    const emails = await getStoredEmails(env);
-    return emails.size;
+    const inverted = String(9999999999999 - Date.now()).padStart(13, '0');
+    await env.ESUS_MONITOR_KV.put(
+      `${KV_KEYS.WEBHOOK_DELIVERY_PREFIX}${webhookId}:${inverted}:${String(sequence).padStart(4, '0')}`,
+      JSON.stringify(delivery),
+      { expirationTtl: WEBHOOK_CONFIG.DELIVERY_LOG_DAYS * 24 * 60 * 60 }
+    );
   } catch (error) {
-    console.error('Erro ao contar inscritos:', error);
-    return 0;
+    console.error(`Erro ao registrar entrega do webhook ${webhookId}:`, error);
   }
 }
 
-// Enviar e-mail usando MailChannels API
-async function sendEmail(to, subject, htmlContent) {
-  try {
-    const payload = {
-      personalizations: [
-        {
-          to: [{ email: to }]
-        }
-      ],
-      from: {
-        email: 'noreply@esus-monitor.workers.dev',
-        name: 'Monitor e-SUS APS'
-      },
-      subject: subject,
-      content: [
-        {
-          type: 'text/html',
-          value: htmlContent
-        }
-      ]
-    };
-
-    const response = await fetch('https://api.mailchannels.net/tx/v1/send', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify(payload)
-    });
-
-    if (!response.ok) {
-      const errorText = await response.text();
-      console.error(`Erro MailChannels (${response.status}):`, errorText);
-      return false;
+// Listar as entregas mais recentes de um webhook
+async function listWebhookDeliveries(env, webhookId, limit = 50) {
+  const page = await env.ESUS_MONITOR_KV.list({ prefix: `${KV_KEYS.WEBHOOK_DELIVERY_PREFIX}${webhookId}:`, limit });
+  const deliveries = [];
+  
+  for (const key of page.keys) {
+    const deliveryJson = await env.ESUS_MONITOR_KV.get(key.name);
+    if (deliveryJson) {
+      deliveries.push(JSON.parse(deliveryJson));
     }
-
-    return true;
-
-  } catch (error) {
-    console.error('Erro ao enviar e-mail:', error);
-    return false;
   }
+  
+  return deliveries;
 }
 
-// Template base para e-mails
-function getEmailTemplate(title, content) {
-  return `
-<!DOCTYPE html>
-<html lang="pt-BR">
-<head>
-    <meta charset="UTF-8">
-    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>${title}</title>
-    <style>
-        body {
-            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
-            line-height: 1.6;
-            color: #333;
-            max-width: 600px;
-            margin: 0 auto;
-            padding: 20px;
-            background-color: #f5f5f5;
-        }
-        .container {
-            background-color: white;
-            padding: 30px;
-            border-radius: 8px;
-            box-shadow: 0 2px 10px rgba(0,0,0,0.1);
-        }
-        .header {
-            text-align: center;
-            border-bottom: 2px solid #2563eb;
-            padding-bottom: 20px;
-            margin-bottom: 30px;
-        }
-        .header h1 {
-            color: #2563eb;
-            margin: 0;
-            font-size: 24px;
-        }
-        .content {
-            margin-bottom: 30px;
-        }
-        .update-box {
-            background-color: #f8fafc;
-            border-left: 4px solid #2563eb;
-            padding: 15px;
-            margin: 15px 0;
-        }
-        .update-title {
-            font-weight: bold;
-            color: #1e40af;
-            margin-bottom: 8px;
-        }
-        .link {
-            color: #2563eb;
-            text-decoration: none;
-        }
-        .link:hover {
-            text-decoration: underline;
-        }
-        .footer {
-            text-align: center;
-            font-size: 12px;
-            color: #666;
-            border-top: 1px solid #e5e7eb;
-            padding-top: 20px;
-            margin-top: 30px;
-        }
-    </style>
-</head>
-<body>
-    <div class="container">
-        <div class="header">
-            <h1>🏥 Monitor e-SUS APS</h1>
-        </div>
-        <div class="content">
-            ${content}
-        </div>
-        <div class="footer">
-            <p>Este é um serviço automatizado de monitoramento das atualizações do e-SUS APS.</p>
-            <p>Você está recebendo este e-mail porque se inscreveu para receber notificações.</p>
-        </div>
-    </div>
-</body>
-</html>`;
+// Montar o corpo da entrega conforme o formato do webhook
+function buildWebhookPayload(format, deliveryId, notification) {
+  if (format === 'slack') {
+    return buildSlackPayload(getChatMessage(notification));
+  }
+  
+  if (format === 'teams') {
+    return buildTeamsPayload(getChatMessage(notification));
+  }
+  
+  if (format === 'discord') {
+    return buildDiscordPayload(getChatMessage(notification));
+  }
+  
+  return {
+    id: deliveryId,
+    event: 'update.detected',
+    source: notification.type,
+    sentAt: new Date().toISOString(),
+    data: notification.data
+  };
 }
 
-// Enviar e-mail de confirmação
-async function sendConfirmationEmail(email, latestUpdates) {
-  const blogUpdate = latestUpdates.blog;
-  const lediUpdate = latestUpdates.ledi;
-
-  const content = `
-    <h2>✅ Inscrição confirmada!</h2>
-    <p>Obrigado por se inscrever no Monitor e-SUS APS! Você agora receberá notificações automáticas sempre que houver atualizações.</p>
-    
-    <h3>📋 O que monitoramos:</h3>
-    <ul>
-        <li><strong>Blog e-SUS APS:</strong> Novas postagens e notícias</li>
-        <li><strong>API LEDI:</strong> Novas versões e documentação</li>
-    </ul>
+// Resumo neutro de uma notificação para os canais de chat: { title, description, url, fields, color }
+function getChatMessage(notification) {
+  const source = getSource(notification.type);
+  const data = notification.data;
+  const lines = [];
+  const fields = [];
+  
+  if (data.summary) {
+    lines.push(data.summary);
+  }
+  
+  const changes = data.changelogEntry ? data.changelogEntry.changes : [];
+  changes.slice(0, 10).forEach(change => lines.push(`• ${change}`));
+  if (changes.length > 10) {
+    lines.push(`... e mais ${changes.length - 10} alteração(ões)`);
+  }
+  
+  if (data.diffs && data.diffs.length > 0) {
+    data.diffs.forEach(diff => lines.push(`${diff.url}: +${diff.added} / -${diff.removed} linha(s)`));
+  }
+  
+  if (data.version) {
+    fields.push({ name: 'Versão', value: data.version });
+  }
+  
+  if (data.changelogEntry && data.changelogEntry.recordTypes.length > 0) {
+    fields.push({ name: 'Tipos afetados', value: data.changelogEntry.recordTypes.join(', ') });
+  }
+  
+  return {
+    title: source.renderEmail(data).subject,
+    description: lines.join('\n'),
+    url: data.link || data.url || source.url,
+    sourceName: source.name,
+    fields,
+    detectedAt: data.extractedAt || new Date().toISOString()
+  };
+}
 
-    <h3>🔄 Últimas atualizações conhecidas:</h3>
-    
-    <div class="update-box">
-        <div class="update-title">📝 Blog e-SUS APS</div>
-        <p><strong>Último post:</strong> ${blogUpdate.title}</p>
-        ${blogUpdate.link !== '#' ? `<p><a href="${blogUpdate.link}" class="link">Ver postagem completa →</a></p>` : ''}
-    </div>
+// Limitar texto ao tamanho máximo aceito pela plataforma
+function truncateText(text, maxLength) {
+  return text.length > maxLength ? `${text.substring(0, maxLength - 3)}...` : text;
+}
 
-    <div class="update-box">
-        <div class="update-title">🔧 API LEDI</div>
-        <p><strong>Versão atual:</strong> ${lediUpdate.version}</p>
-        ${lediUpdate.changes ? `<p><strong>Principais alterações:</strong></p><p style="font-size: 14px; color: #666;">${lediUpdate.changes.substring(0, 300)}${lediUpdate.changes.length > 300 ? '...' : ''}</p>` : ''}
-    </div>
+// Escapar texto para o mrkdwn do Slack
+function escapeSlackText(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
 
-    <p>🔔 <strong>Próximos passos:</strong> Você receberá um e-mail sempre que detectarmos novas atualizações em qualquer uma dessas fontes.</p>
-  `;
+// Mensagem do Slack (Block Kit)
+function buildSlackPayload(message) {
+  const blocks = [
+    { type: 'header', text: { type: 'plain_text', text: truncateText(message.title, 150), emoji: true } }
+  ];
+  
+  if (message.description) {
+    blocks.push({ type: 'section', text: { type: 'mrkdwn', text: truncateText(escapeSlackText(message.description), 3000) } });
+  }
+  
+  if (message.fields.length > 0) {
+    blocks.push({
+      type: 'section',
+      fields: message.fields.map(field => ({ type: 'mrkdwn', text: truncateText(`*${field.name}*\n${escapeSlackText(field.value)}`, 2000) }))
+    });
+  }
+  
+  blocks.push(
+    {
+      type: 'actions',
+      elements: [{ type: 'button', text: { type: 'plain_text', text: 'Abrir' }, url: message.url }]
+    },
+    {
+      type: 'context',
+      elements: [{ type: 'mrkdwn', text: `${escapeSlackText(message.sourceName)} • Monitor e-SUS APS` }]
+    }
+  );
+  
+  // `text` é o fallback das notificações do Slack
+  return { text: message.title, blocks };
+}
 
-  const htmlContent = getEmailTemplate('Confirmação de Inscrição - Monitor e-SUS APS', content);
+// Mensagem do Microsoft Teams (Adaptive Card)
+function buildTeamsPayload(message) {
+  const body = [
+    { type: 'TextBlock', text: message.title, weight: 'Bolder', size: 'Medium', wrap: true }
+  ];
+  
+  if (message.description) {
+    body.push({ type: 'TextBlock', text: message.description, wrap: true });
+  }
+  
+  if (message.fields.length > 0) {
+    body.push({ type: 'FactSet', facts: message.fields.map(field => ({ title: field.name, value: field.value })) });
+  }
+  
+  body.push({ type: 'TextBlock', text: `${message.sourceName} • Monitor e-SUS APS`, isSubtle: true, size: 'Small', wrap: true });
   
-  return await sendEmail(email, '✅ Confirmação de Inscrição - Monitor e-SUS APS', htmlContent);
+  return {
+    type: 'message',
+    attachments: [{
+      contentType: 'application/vnd.microsoft.card.adaptive',
+      content: {
+        $schema: 'http://adaptivecards.io/schemas/adaptive-card.json',
+        type: 'AdaptiveCard',
+        version: '1.4',
+        body,
+        actions: [{ type: 'Action.OpenUrl', title: 'Abrir', url: message.url }]
+      }
+    }]
+  };
 }
 
-// Enviar notificações para todos os usuários
-async function sendNotificationEmails(env, notifications) {
-  try {
-    const emails = await getStoredEmails(env);
-    let emailsSent = 0;
+// Mensagem do Discord (embed)
+function buildDiscordPayload(message) {
+  return {
+    username: 'Monitor e-SUS APS',
+    embeds: [{
+      title: truncateText(message.title, 256),
+      description: truncateText(message.description, 4096),
+      url: message.url,
+      color: 0x2e7d32,
+      fields: message.fields.map(field => ({ name: field.name, value: truncateText(field.value, 1024), inline: true })),
+      footer: { text: message.sourceName },
+      timestamp: message.detectedAt
+    }]
+  };
+}
+
+// Enviar cada notificação para os webhooks inscritos no tópico, no formato de cada um
+async function sendWebhookNotifications(env, notifications) {
+  const webhooks = (await listWebhooks(env)).filter(webhook => webhook.active);
+  let delivered = 0;
+  let failed = 0;
+  
+  for (const webhook of webhooks) {
+    const webhookNotifications = notifications.filter(notification => webhook.topics.includes(notification.type));
     
-    for (const email of emails) {
-      for (const notification of notifications) {
-        let subject, content;
-        
-        if (notification.type === 'blog') {
-          subject = `📝 Nova postagem no Blog e-SUS APS: ${notification.data.title}`;
-          content = `
-            <h2>📝 Nova postagem no Blog e-SUS APS</h2>
-            <div class="update-box">
-              <div class="update-title">${notification.data.title}</div>
-              <p><a href="${notification.data.link}" class="link">Ler postagem completa →</a></p>
-            </div>
-            <p>Esta postagem foi detectada em ${new Date(notification.data.extractedAt).toLocaleString('pt-BR')}.</p>
-          `;
-        } else if (notification.type === 'ledi') {
-          subject = `🔧 Nova versão da API LEDI: ${notification.data.version}`;
-          content = `
-            <h2>🔧 Nova versão da API LEDI</h2>
-            <div class="update-box">
-              <div class="update-title">Versão ${notification.data.version}</div>
-              ${notification.data.changes ? `<p><strong>Principais alterações:</strong></p><p style="font-size: 14px; color: #666;">${notification.data.changes}</p>` : ''}
-              <p><a href="${SOURCES.LEDI}" class="link">Ver documentação completa →</a></p>
-            </div>
-            <p>Esta versão foi detectada em ${new Date(notification.data.extractedAt).toLocaleString('pt-BR')}.</p>
-          `;
-        }
-        
-        const htmlContent = getEmailTemplate(subject, content);
-        
-        try {
-          const sent = await sendEmail(email, subject, htmlContent);
-          if (sent) {
-            emailsSent++;
-          }
-        } catch (error) {
-          console.error(`Erro ao enviar e-mail para ${email}:`, error);
-        }
+    for (const [index, notification] of webhookNotifications.entries()) {
+      const deliveryId = crypto.randomUUID();
+      const body = JSON.stringify(buildWebhookPayload(webhook.format, deliveryId, notification));
+      
+      const result = await deliverWebhook(webhook, deliveryId, body);
+      
+      if (result.ok) {
+        delivered++;
+        notification.webhooksDelivered = (notification.webhooksDelivered || 0) + 1;
+      } else {
+        failed++;
+        notification.webhooksFailed = (notification.webhooksFailed || 0) + 1;
+        console.error(`Falha ao entregar webhook ${webhook.id} (${notification.type}): ${result.error || result.responseStatus}`);
       }
+      
+      await storeWebhookDelivery(env, webhook.id, {
+        deliveryId,
+        webhookId: webhook.id,
+        source: notification.type,
+        status: result.ok ? 'delivered' : 'failed',
+        attempts: result.attempts,
+        responseStatus: result.responseStatus,
+        error: result.error,
+        deliveredAt: new Date().toISOString()
+      }, index);
     }
-    
-    return emailsSent;
-    
-  } catch (error) {
-    console.error('Erro ao enviar notificações:', error);
-    return 0;
   }
+  
+  return { delivered, failed };
 }
 
 // Arquivos estáticos do frontend
@@ -860,6 +5037,8 @@ function getIndexHtml() {
     <meta name="viewport" content="width=device-width, initial-scale=1.0">
     <title>Monitor e-SUS APS</title>
     <link rel="stylesheet" href="/styles.css">
+    <link rel="alternate" type="application/rss+xml" title="Monitor e-SUS APS (RSS)" href="/feed.xml">
+    <link rel="alternate" type="application/atom+xml" title="Monitor e-SUS APS (Atom)" href="/atom.xml">
 </head>
 <body>
     <div class="container">
@@ -871,21 +5050,14 @@ function getIndexHtml() {
         <main class="main">
             <section class="monitored-sources">
                 <h2>📋 O que monitoramos</h2>
-                <div class="sources-grid">
+                <div class="sources-grid">${getSources().map(source => `
                     <div class="source-card">
-                        <h3>📝 Blog e-SUS APS</h3>
-                        <p>Novas postagens e notícias oficiais</p>
-                        <a href="https://sisaps.saude.gov.br/sistemas/esusaps/blog/" target="_blank" class="source-link">
-                            Visitar Blog →
+                        <h3>${source.icon} ${source.name}</h3>
+                        <p>${source.description}</p>
+                        <a href="${source.url}" target="_blank" class="source-link">
+                            Visitar →
                         </a>
-                    </div>
-                    <div class="source-card">
-                        <h3>🔧 API LEDI</h3>
-                        <p>Novas versões e documentação técnica</p>
-                        <a href="https://integracao.esusab.ufsc.br/ledi/index.html" target="_blank" class="source-link">
-                            Visitar Documentação →
-                        </a>
-                    </div>
+                    </div>`).join('')}
                 </div>
             </section>
 
@@ -907,6 +5079,7 @@ function getIndexHtml() {
                             Inscrever-se
                         </button>
                     </div>
+                    ${getTopicCheckboxesHtml(getSourceIds())}
                 </form>
 
                 <div id="message" class="message" style="display: none;"></div>
@@ -1072,8 +5245,32 @@ body {
     cursor: not-allowed;
 }
 
+.topics {
+    border: none;
+    margin-top: 16px;
+}
+
+.topics legend {
+    font-weight: 500;
+    margin-bottom: 8px;
+}
+
+.topic-option {
+    display: flex;
+    align-items: flex-start;
+    gap: 8px;
+    margin-bottom: 8px;
+    color: #374151;
+    cursor: pointer;
+}
+
+.topic-option input {
+    margin-top: 5px;
+}
+
 .message {
     padding: 12px 16px;
+    margin-bottom: 16px;
     border-radius: 6px;
     font-weight: 500;
 }
@@ -1122,6 +5319,101 @@ body {
     .email-input {
         min-width: auto;
     }
+}
+
+.admin-container {
+    max-width: 1100px;
+}
+
+.admin-section {
+    background: white;
+    padding: 24px;
+    margin-bottom: 24px;
+    border-radius: 8px;
+    box-shadow: 0 2px 10px rgba(0, 0, 0, 0.1);
+    border: 1px solid #e5e7eb;
+}
+
+.admin-section h2 {
+    font-size: 1.2rem;
+    margin-bottom: 16px;
+    color: #1f2937;
+}
+
+.admin-cards {
+    display: grid;
+    grid-template-columns: repeat(auto-fit, minmax(160px, 1fr));
+    gap: 12px;
+}
+
+.admin-card {
+    padding: 16px;
+    border-radius: 6px;
+    border: 1px solid #e5e7eb;
+    background-color: #f9fafb;
+}
+
+.admin-card-label {
+    font-size: 0.85rem;
+    color: #6b7280;
+}
+
+.admin-card-value {
+    font-size: 1.3rem;
+    font-weight: 600;
+    word-break: break-word;
+}
+
+.admin-card.ok .admin-card-value {
+    color: #065f46;
+}
+
+.admin-card.warning .admin-card-value {
+    color: #92400e;
+}
+
+.admin-card.error .admin-card-value {
+    color: #991b1b;
+}
+
+.admin-chart {
+    width: 100%;
+    height: 160px;
+}
+
+.admin-table {
+    width: 100%;
+    border-collapse: collapse;
+    font-size: 0.9rem;
+}
+
+.admin-table th,
+.admin-table td {
+    text-align: left;
+    padding: 8px;
+    border-bottom: 1px solid #e5e7eb;
+    vertical-align: top;
+    word-break: break-word;
+}
+
+.admin-table th {
+    color: #6b7280;
+    font-weight: 500;
+}
+
+.admin-empty {
+    color: #6b7280;
+}
+
+.admin-button {
+    padding: 6px 12px;
+    font-size: 14px;
+}
+
+@media (max-width: 768px) {
+    .admin-table {
+        font-size: 0.8rem;
+    }
 }`;
 }
 
@@ -1149,6 +5441,14 @@ function getScriptJs() {
             return;
         }
 
+        const topics = Array.from(form.querySelectorAll('input[name="topics"]:checked'))
+            .map(function(input) { return input.value; });
+        
+        if (topics.length === 0) {
+            showMessage('Selecione ao menos um tópico.', 'error');
+            return;
+        }
+
         // Desabilitar botão durante o envio
         submitButton.disabled = true;
         submitButton.textContent = 'Inscrevendo...';
@@ -1159,7 +5459,7 @@ function getScriptJs() {
                 headers: {
                     'Content-Type': 'application/json',
                 },
-                body: JSON.stringify({ email: email })
+                body: JSON.stringify({ email: email, topics: topics })
             });
 
             const data = await response.json();
@@ -1192,4 +5492,344 @@ function getScriptJs() {
         }, 5000);
     }
 });`;
-}
\ No newline at end of file
+}
+
+// Painel de administração (/admin): os dados vêm de /admin/api/dashboard com o ADMIN_TOKEN
+function getAdminHtml() {
+  return `<!DOCTYPE html>
+<html lang="pt-BR">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <meta name="robots" content="noindex">
+    <title>Administração - Monitor e-SUS APS</title>
+    <link rel="stylesheet" href="/styles.css">
+</head>
+<body>
+    <div class="container admin-container">
+        <header class="header">
+            <h1>🏥 Monitor e-SUS APS</h1>
+            <p>Painel de administração</p>
+        </header>
+
+        <section class="admin-section">
+            <form id="tokenForm" class="form-group">
+                <input type="password" id="token" placeholder="ADMIN_TOKEN" required class="email-input" autocomplete="off">
+                <button type="submit" class="subscribe-button">Entrar</button>
+                <button type="button" id="checkButton" class="subscribe-button" disabled>Verificar agora</button>
+                <button type="button" id="dryRunButton" class="subscribe-button" disabled>Simular</button>
+            </form>
+            <div id="message" class="message" style="display: none;"></div>
+        </section>
+
+        <div id="dashboard" style="display: none;">
+            <section class="admin-section">
+                <h2>📊 Status</h2>
+                <div id="statusCards" class="admin-cards"></div>
+            </section>
+
+            <section class="admin-section">
+                <h2>👥 Inscritos ativos</h2>
+                <svg id="subscriberChart" class="admin-chart" viewBox="0 0 600 160" preserveAspectRatio="none"></svg>
+                <p id="subscriberChartEmpty" class="admin-empty">Sem histórico de contagem ainda.</p>
+            </section>
+
+            <section class="admin-section">
+                <h2>🔎 Últimas detecções</h2>
+                <table class="admin-table">
+                    <thead><tr><th>Fonte</th><th>Detecção</th><th>Quando</th><th>E-mails</th><th></th></tr></thead>
+                    <tbody id="detections"></tbody>
+                </table>
+            </section>
+
+            <section class="admin-section">
+                <h2>⚠️ Erros recentes</h2>
+                <table class="admin-table">
+                    <thead><tr><th>Quando</th><th>Contexto</th><th>Mensagem</th></tr></thead>
+                    <tbody id="errors"></tbody>
+                </table>
+            </section>
+
+            <section class="admin-section">
+                <h2>📭 Falhas de entrega</h2>
+                <table class="admin-table">
+                    <thead><tr><th>Quando</th><th>Canal</th><th>Destino</th><th>Detalhe</th></tr></thead>
+                    <tbody id="failures"></tbody>
+                </table>
+            </section>
+        </div>
+    </div>
+
+    <script src="/admin.js"></script>
+</body>
+</html>`;
+}
+
+// Script do painel. Todo dado exibido entra via textContent, pois inclui conteúdo extraído das fontes.
+function getAdminJs() {
+  return `document.addEventListener('DOMContentLoaded', function() {
+    const tokenForm = document.getElementById('tokenForm');
+    const tokenInput = document.getElementById('token');
+    const checkButton = document.getElementById('checkButton');
+    const dryRunButton = document.getElementById('dryRunButton');
+    const messageDiv = document.getElementById('message');
+    const dashboard = document.getElementById('dashboard');
+
+    // O token fica só nesta aba do navegador
+    tokenInput.value = sessionStorage.getItem('adminToken') || '';
+    if (tokenInput.value) {
+        loadDashboard();
+    }
+
+    tokenForm.addEventListener('submit', function(e) {
+        e.preventDefault();
+        sessionStorage.setItem('adminToken', tokenInput.value.trim());
+        loadDashboard();
+    });
+
+    checkButton.addEventListener('click', async function() {
+        checkButton.disabled = true;
+        checkButton.textContent = 'Verificando...';
+
+        try {
+            const data = await api('/admin/check', { method: 'POST' });
+            showMessage(data.notifications.length + ' atualização(ões) detectada(s).', 'success');
+            await loadDashboard();
+        } catch (error) {
+            showMessage(error.message, 'error');
+        } finally {
+            checkButton.disabled = false;
+            checkButton.textContent = 'Verificar agora';
+        }
+    });
+
+    // Simulação: só lê e compara as fontes, sem gravar estado nem notificar
+    dryRunButton.addEventListener('click', async function() {
+        dryRunButton.disabled = true;
+        dryRunButton.textContent = 'Simulando...';
+
+        try {
+            const data = await api('/admin/check?dryRun=true', { method: 'POST' });
+            showMessage('Simulação: ' + data.sources.map(function(detection) {
+                return detection.name + ': ' + detection.result +
+                    (detection.newItems > 0 ? ' (' + detection.newItems + ')' : '') +
+                    (detection.error ? ' - ' + detection.error : '');
+            }).join('; '), data.sources.some(function(detection) {
+                return detection.result === 'error';
+            }) ? 'error' : 'success');
+        } catch (error) {
+            showMessage(error.message, 'error');
+        } finally {
+            dryRunButton.disabled = false;
+            dryRunButton.textContent = 'Simular';
+        }
+    });
+
+    async function api(path, options) {
+        const response = await fetch(path, Object.assign({}, options, {
+            headers: { 'Authorization': 'Bearer ' + sessionStorage.getItem('adminToken') }
+        }));
+        const data = await response.json();
+
+        if (!response.ok) {
+            throw new Error(data.error || 'Erro ' + response.status);
+        }
+
+        return data;
+    }
+
+    async function loadDashboard() {
+        try {
+            const data = await api('/admin/api/dashboard');
+            renderStatus(data);
+            renderChart(data.subscribers.history);
+            renderDetections(data.detections);
+            renderErrors(data.errors);
+            renderFailures(data.failedDeliveries);
+            dashboard.style.display = 'block';
+            checkButton.disabled = false;
+            dryRunButton.disabled = false;
+        } catch (error) {
+            dashboard.style.display = 'none';
+            checkButton.disabled = true;
+            dryRunButton.disabled = true;
+            showMessage(error.message, 'error');
+        }
+    }
+
+    function renderStatus(data) {
+        const container = document.getElementById('statusCards');
+        const status = data.status || {};
+        container.replaceChildren();
+
+        addCard(container, 'Última verificação', formatDate(status.lastCheck), null);
+        Object.keys(status).filter(function(key) {
+            return key.endsWith('Status');
+        }).forEach(function(key) {
+            addCard(container, key.replace(/Status$/, ''), status[key], status[key]);
+        });
+        addCard(container, 'Inscritos ativos', data.subscribers.active, null);
+        addCard(container, 'Inscritos pendentes', data.subscribers.pending, null);
+        addCard(container, 'Jobs de e-mail em andamento', data.pendingEmailJobs, data.pendingEmailJobs > 0 ? 'warning' : 'ok');
+    }
+
+    function addCard(container, label, value, state) {
+        const card = element('div', 'admin-card' + (state ? ' ' + state : ''));
+        card.appendChild(element('div', 'admin-card-label', label));
+        card.appendChild(element('div', 'admin-card-value', value === undefined || value === null ? '-' : value));
+        container.appendChild(card);
+    }
+
+    function renderChart(history) {
+        const svg = document.getElementById('subscriberChart');
+        const empty = document.getElementById('subscriberChartEmpty');
+        svg.replaceChildren();
+
+        if (history.length < 2) {
+            svg.style.display = 'none';
+            empty.style.display = 'block';
+            return;
+        }
+
+        svg.style.display = 'block';
+        empty.style.display = 'none';
+
+        const max = Math.max.apply(null, history.map(function(day) { return day.active; })) || 1;
+        const points = history.map(function(day, index) {
+            const x = index / (history.length - 1) * 600;
+            const y = 150 - day.active / max * 140;
+            return x.toFixed(1) + ',' + y.toFixed(1);
+        });
+
+        const line = document.createElementNS('http://www.w3.org/2000/svg', 'polyline');
+        line.setAttribute('points', points.join(' '));
+        line.setAttribute('fill', 'none');
+        line.setAttribute('stroke', '#2563eb');
+        line.setAttribute('stroke-width', '2');
+        svg.appendChild(line);
+
+        const first = history[0];
+        const last = history[history.length - 1];
+        const title = document.createElementNS('http://www.w3.org/2000/svg', 'title');
+        title.textContent = first.date + ': ' + first.active + ' → ' + last.date + ': ' + last.active;
+        svg.appendChild(title);
+    }
+
+    function renderDetections(detections) {
+        const tbody = document.getElementById('detections');
+        tbody.replaceChildren();
+
+        detections.forEach(function(detection) {
+            const latest = detection.latest;
+            const row = document.createElement('tr');
+            row.appendChild(element('td', null, detection.icon + ' ' + detection.name));
+            row.appendChild(element('td', null, detection.title || '-'));
+            row.appendChild(element('td', null, latest ? formatDate(latest.detectedAt) : '-'));
+            row.appendChild(element('td', null, latest ? latest.notification.status + ' (' + latest.notification.emailsSent + ' enviados, ' + latest.notification.emailsFailed + ' falhas)' : '-'));
+
+            const actions = document.createElement('td');
+            if (latest) {
+                const button = element('button', 'subscribe-button admin-button', 'Reenviar');
+                button.addEventListener('click', function() {
+                    resend(latest.id, button);
+                });
+                actions.appendChild(button);
+            }
+            row.appendChild(actions);
+            tbody.appendChild(row);
+        });
+    }
+
+    async function resend(id, button) {
+        if (!confirm('Reenviar esta notificação para todos os inscritos, Telegram e webhooks?')) {
+            return;
+        }
+
+        button.disabled = true;
+
+        try {
+            await api('/admin/api/updates/' + encodeURIComponent(id) + '/resend', { method: 'POST' });
+            showMessage('Notificação reenviada.', 'success');
+            await loadDashboard();
+        } catch (error) {
+            showMessage(error.message, 'error');
+        } finally {
+            button.disabled = false;
+        }
+    }
+
+    function renderErrors(errors) {
+        const tbody = document.getElementById('errors');
+        tbody.replaceChildren();
+
+        errors.forEach(function(entry) {
+            addRow(tbody, [formatDate(entry.at), entry.context, entry.message]);
+        });
+        addEmptyRow(tbody, 3, 'Nenhum erro registrado.');
+    }
+
+    function renderFailures(failures) {
+        const tbody = document.getElementById('failures');
+        tbody.replaceChildren();
+
+        failures.webhooks.forEach(function(delivery) {
+            addRow(tbody, [
+                formatDate(delivery.deliveredAt),
+                'Webhook (' + delivery.source + ')',
+                delivery.name || delivery.url,
+                (delivery.responseStatus ? 'HTTP ' + delivery.responseStatus + ' ' : '') + (delivery.error || '') + ' · ' + delivery.attempts + ' tentativa(s)'
+            ]);
+        });
+        failures.emailJobs.forEach(function(job) {
+            addRow(tbody, [
+                formatDate(job.updatedAt),
+                'E-mail (' + (job.period || job.sources.join(', ')) + ')',
+                job.subscribersProcessed + ' inscrito(s) processado(s)',
+                job.failed + ' falha(s)' + (job.lastError ? ' · ' + job.lastError : '')
+            ]);
+        });
+        addEmptyRow(tbody, 4, 'Nenhuma falha de entrega recente.');
+    }
+
+    function addRow(tbody, values) {
+        const row = document.createElement('tr');
+        values.forEach(function(value) {
+            row.appendChild(element('td', null, value));
+        });
+        tbody.appendChild(row);
+    }
+
+    function addEmptyRow(tbody, columns, text) {
+        if (tbody.children.length > 0) {
+            return;
+        }
+
+        const cell = element('td', 'admin-empty', text);
+        cell.colSpan = columns;
+        const row = document.createElement('tr');
+        row.appendChild(cell);
+        tbody.appendChild(row);
+    }
+
+    function element(tag, className, text) {
+        const node = document.createElement(tag);
+        if (className) {
+            node.className = className;
+        }
+        if (text !== undefined) {
+            node.textContent = String(text);
+        }
+        return node;
+    }
+
+    function formatDate(value) {
+        return value ? new Date(value).toLocaleString('pt-BR') : '-';
+    }
+
+    function showMessage(text, type) {
+        messageDiv.textContent = text;
+        messageDiv.className = 'message ' + type;
+        messageDiv.style.display = 'block';
+    }
+});`;
+}